@@ -8,6 +8,7 @@ class PostureGuardian {
         this.isRunning = false;
         this.poseDetection = null;
         this.postureAnalysis = null;
+        this.postureStateMachine = null;
         this.audioFeedback = null;
         this.dataStorage = null;
 
@@ -23,9 +24,23 @@ class PostureGuardian {
 
         // Timers
         this.sessionTimer = null;
+        this.playbackTimer = null;
+
+        // Last CameraFrameSource status: { state, deviceId, label }
+        this.cameraStatus = null;
 
         // State
         this.isCalibrating = false;
+        this.lastPostureStatus = null;
+        this.lastUnavailableReason = null;
+
+        // Presence: the session pauses while nobody is in view
+        this.isPaused = false;
+        this.lastSeenTime = null;
+        this.awayStartTime = null;
+        this.awayTime = 0;
+        // Detection stopped while the page is hidden in 'pause' mode
+        this.detectionSuspended = false;
     }
 
     /**
@@ -57,9 +72,22 @@ class PostureGuardian {
             startBtn: document.getElementById('startBtn'),
             stopBtn: document.getElementById('stopBtn'),
             calibrateBtn: document.getElementById('calibrateBtn'),
+            recordBtn: document.getElementById('recordBtn'),
+            miniViewBtn: document.getElementById('miniViewBtn'),
+            calibrateQuickBtn: document.getElementById('calibratePosture'),
+
+            // Input source
+            inputSource: document.getElementById('inputSource'),
+            sourceFile: document.getElementById('sourceFile'),
+            playbackControls: document.getElementById('playbackControls'),
+            playPauseBtn: document.getElementById('playPauseBtn'),
+            seekBar: document.getElementById('seekBar'),
+            playbackTime: document.getElementById('playbackTime'),
+            playbackSpeed: document.getElementById('playbackSpeed'),
             
             // Status
             statusText: document.getElementById('statusText'),
+            statusIndicator: document.getElementById('statusIndicator'),
             neckAngle: document.getElementById('neckAngle'),
             torsoAngle: document.getElementById('torsoAngle'),
             
@@ -67,6 +95,64 @@ class PostureGuardian {
             sessionTime: document.getElementById('sessionTime'),
             postureScore: document.getElementById('postureScore'),
             streakCount: document.getElementById('streakCount'),
+
+            // Monitoring panel
+            goodPostureTime: document.getElementById('goodPostureTime'),
+            goodPostureProgress: document.getElementById('goodPostureProgress'),
+            warningCount: document.getElementById('warningCount'),
+            sedentaryTime: document.getElementById('sedentaryTime'),
+            exerciseReminder: document.getElementById('exerciseReminder'),
+            exerciseName: document.getElementById('exerciseName'),
+            exerciseDescription: document.getElementById('exerciseDescription'),
+            exerciseTimer: document.getElementById('exerciseTimer'),
+            startExercise: document.getElementById('startExercise'),
+            skipExercise: document.getElementById('skipExercise'),
+            exerciseBtn: document.getElementById('exerciseBtn'),
+
+            // Exercise modal
+            exerciseModal: document.getElementById('exerciseModal'),
+            modalExerciseName: document.getElementById('modalExerciseName'),
+            modalClose: document.getElementById('modalClose'),
+            modalTimer: document.getElementById('modalTimer'),
+            exerciseCue: document.getElementById('exerciseCue'),
+            modalInstructions: document.getElementById('modalInstructions'),
+            exerciseProgress: document.getElementById('exerciseProgress'),
+            modalStartStop: document.getElementById('modalStartStop'),
+            modalSkip: document.getElementById('modalSkip'),
+
+            // Alerts
+            alertBanner: document.getElementById('alertBanner'),
+            alertMessage: document.getElementById('alertMessage'),
+            alertClose: document.getElementById('alertClose'),
+
+            // Panels
+            tabButtons: document.querySelectorAll('.tab-btn'),
+            panels: document.querySelectorAll('.panel'),
+
+            // Settings
+            audioNotifications: document.getElementById('audioNotifications'),
+            stretchReminders: document.getElementById('stretchReminders'),
+            reminderInterval: document.getElementById('reminderInterval'),
+            awayTimeout: document.getElementById('awayTimeout'),
+            sensitivity: document.getElementById('sensitivity'),
+            measurementPath: document.getElementById('measurementPath'),
+            smoothingFilter: document.getElementById('smoothingFilter'),
+            cameraDevice: document.getElementById('cameraDevice'),
+            cameraResolution: document.getElementById('cameraResolution'),
+            poseBackend: document.getElementById('poseBackend'),
+            powerProfile: document.getElementById('powerProfile'),
+            backgroundMode: document.getElementById('backgroundMode'),
+            privacyMode: document.getElementById('privacyMode'),
+            privacySilhouette: document.getElementById('privacySilhouette'),
+            overlaySkeleton: document.getElementById('overlaySkeleton'),
+            overlayAngles: document.getElementById('overlayAngles'),
+            overlayGhost: document.getElementById('overlayGhost'),
+            neckThreshold: document.getElementById('neckThreshold'),
+            neckThresholdValue: document.getElementById('neckThresholdValue'),
+            torsoThreshold: document.getElementById('torsoThreshold'),
+            torsoThresholdValue: document.getElementById('torsoThresholdValue'),
+            saveSettings: document.getElementById('saveSettings'),
+            resetSettings: document.getElementById('resetSettings'),
         };
         console.log('DOM elements initialized', this.elements);
     }
@@ -76,8 +162,25 @@ class PostureGuardian {
      */
     initializeComponents() {
         this.poseDetection = new PoseDetection();
+        this.poseDetection.addEventListener('frame', (event) => this.onPoseResults(event.detail));
+        this.poseDetection.addEventListener('error', (event) => this.onPoseError(event.detail));
+        this.poseDetection.addEventListener('reset', () => this.resetTracking());
         this.postureAnalysis = new PostureAnalysis();
+        this.postureStateMachine = new PostureStateMachine();
+        this.postureStateMachine.onEventStart = (event) => this.onPostureEventStart(event);
+        this.postureStateMachine.onEventEnd = (event) => this.onPostureEventEnd(event);
+        this.activityTracker = new ActivityTracker();
+        this.activityTracker.onBreakDue = (status) => this.onBreakDue(status);
+        this.activityTracker.onBreakTaken = (breakInfo) => this.onBreakTaken(breakInfo);
+        this.subjectTracker = new SubjectTracker();
+        this.exerciseCoach = new ExerciseCoach(this.postureAnalysis);
+        this.exerciseCoach.onComplete = (result) => this.onExerciseComplete(result);
+        this.currentExercise = ExerciseLibrary.exercises[0];
         this.audioFeedback = new AudioFeedback();
+        this.miniView = new MiniView();
+        this.miniView.onClose = () => {
+            this.elements.miniViewBtn.textContent = 'Mini View';
+        };
         this.dataStorage = new DataStorage();
         console.log('Components initialized');
     }
@@ -86,8 +189,13 @@ class PostureGuardian {
      * Load settings and data from storage.
      */
     loadData() {
-        this.settings = this.dataStorage.getSettings();
-        this.sessionData = this.dataStorage.getSessionData();
+        // Merge defaults so settings saved by older versions gain new keys
+        this.settings = { ...this.dataStorage.defaultSettings, ...this.dataStorage.getSettings() };
+        this.sessionData = this.dataStorage.getSessionData() || this.createSessionData();
+        this.applySettings();
+        this.postureAnalysis.setBaseline(this.settings.postureBaseline);
+        this.poseDetection.updateAnalysis({ baseline: this.settings.postureBaseline });
+        this.subjectTracker.setEnvelope(this.settings.postureBaseline && this.settings.postureBaseline.envelope);
         console.log('Data loaded');
     }
 
@@ -98,9 +206,41 @@ class PostureGuardian {
         this.elements.startBtn.addEventListener('click', () => this.startMonitoring());
         this.elements.stopBtn.addEventListener('click', () => this.stopMonitoring());
         this.elements.calibrateBtn.addEventListener('click', () => this.calibratePosture());
+        this.elements.recordBtn.addEventListener('click', () => this.toggleRecording());
+        this.elements.miniViewBtn.addEventListener('click', () => this.toggleMiniView());
+        this.elements.calibrateQuickBtn.addEventListener('click', () => this.calibratePosture());
+        this.elements.inputSource.addEventListener('change', () => this.onInputSourceChange());
+        this.elements.sourceFile.addEventListener('change', () => this.loadSourceFile());
+        this.elements.playPauseBtn.addEventListener('click', () => this.togglePlayback());
+        this.elements.seekBar.addEventListener('input', () => this.seekPlayback());
+        this.elements.playbackSpeed.addEventListener('change', () => this.setPlaybackSpeed());
+        this.elements.alertClose.addEventListener('click', () => this.hidePostureAlert());
+        this.elements.skipExercise.addEventListener('click', () => this.hideBreakReminder());
+        this.elements.startExercise.addEventListener('click', () => this.openExerciseModal(this.currentExercise));
+        this.elements.exerciseBtn.addEventListener('click', () => this.openExerciseModal(this.currentExercise));
+        this.elements.modalStartStop.addEventListener('click', () => this.toggleExercise());
+        this.elements.modalSkip.addEventListener('click', () => this.skipExercise());
+        this.elements.modalClose.addEventListener('click', () => this.closeExerciseModal());
+
+        this.elements.tabButtons.forEach(button => {
+            button.addEventListener('click', () => this.showPanel(button.dataset.panel));
+        });
+
+        // Settings take effect as soon as they change; Save persists them
+        [
+            'audioNotifications', 'stretchReminders', 'reminderInterval', 'awayTimeout', 'sensitivity',
+            'measurementPath', 'smoothingFilter', 'cameraDevice', 'cameraResolution', 'poseBackend', 'powerProfile',
+            'backgroundMode', 'privacyMode', 'privacySilhouette', 'overlaySkeleton', 'overlayAngles', 'overlayGhost', 'neckThreshold', 'torsoThreshold'
+        ].forEach(name => {
+            this.elements[name].addEventListener('input', () => this.onSettingsFormChange());
+        });
+        this.elements.saveSettings.addEventListener('click', () => this.saveSettings());
+        this.elements.resetSettings.addEventListener('click', () => this.resetSettings());
 
-        window.addEventListener('resize', () => this.adjustCanvasSize());
         document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.refreshCameraList());
+        }
         console.log('Event listeners set up');
     }
 
@@ -108,11 +248,154 @@ class PostureGuardian {
      * Update UI with initial data.
      */
     updateUI() {
-        this.adjustCanvasSize();
+        this.populateSettingsForm();
+        this.refreshCameraList();
         this.updateHeaderStats();
         console.log('UI updated');
     }
 
+    /**
+     * Switch the control panel tab.
+     */
+    showPanel(panelName) {
+        this.elements.tabButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.panel === panelName);
+        });
+        this.elements.panels.forEach(panel => {
+            panel.classList.toggle('active', panel.id === `${panelName}Panel`);
+        });
+    }
+
+    /**
+     * Push the current settings into every component.
+     */
+    applySettings() {
+        this.postureAnalysis.applySettings(this.settings);
+        this.poseDetection.updateAnalysis({ settings: this.settings });
+        this.postureStateMachine.updateConfig({
+            poorThreshold: this.settings.poorScoreThreshold,
+            recoveryThreshold: this.settings.recoveryScoreThreshold,
+            dwellTime: this.settings.postureDwellTime * 1000
+        });
+        this.activityTracker.updateConfig({
+            enabled: this.settings.stretchReminders,
+            breakInterval: this.settings.reminderInterval * 60000
+        });
+        this.audioFeedback.setEnabled(this.settings.audioEnabled);
+        // Switches the model in place if monitoring is running
+        this.poseDetection.updateConfiguration(this.getDetectionConfig());
+        this.updateCameraSource();
+    }
+
+    /**
+     * PoseDetection options that come from the settings.
+     */
+    getDetectionConfig() {
+        return {
+            backend: this.settings.poseBackend,
+            powerProfile: this.settings.powerProfile,
+            privacyMode: this.settings.privacyMode,
+            // The silhouette is the only use of the segmentation mask
+            enableSegmentation: this.settings.privacyMode && this.settings.privacySilhouette
+        };
+    }
+
+    /**
+     * Show the current settings in the settings panel.
+     */
+    populateSettingsForm() {
+        const settings = this.settings;
+        this.elements.audioNotifications.checked = settings.audioEnabled;
+        this.elements.stretchReminders.checked = settings.stretchReminders;
+        this.elements.reminderInterval.value = String(settings.reminderInterval);
+        this.elements.awayTimeout.value = String(settings.awayTimeout);
+        this.elements.sensitivity.value = settings.sensitivityLevel;
+        this.elements.measurementPath.value = settings.measurementPath;
+        this.elements.smoothingFilter.value = settings.smoothingFilter;
+        this.elements.cameraDevice.value = settings.cameraDeviceId || '';
+        this.elements.cameraResolution.value = settings.cameraResolution;
+        this.elements.poseBackend.value = settings.poseBackend;
+        this.elements.powerProfile.value = settings.powerProfile;
+        this.elements.backgroundMode.value = settings.backgroundMode;
+        this.elements.privacyMode.checked = settings.privacyMode;
+        this.elements.privacySilhouette.checked = settings.privacySilhouette;
+        this.elements.overlaySkeleton.checked = settings.overlayLayers.skeleton;
+        this.elements.overlayAngles.checked = settings.overlayLayers.angles;
+        this.elements.overlayGhost.checked = settings.overlayLayers.ghost;
+        this.elements.neckThreshold.value = String(settings.neckThreshold);
+        this.elements.torsoThreshold.value = String(settings.torsoThresholdMin);
+        this.updateRangeLabels();
+    }
+
+    /**
+     * Read the settings panel and apply it live.
+     */
+    onSettingsFormChange() {
+        // The torso slider sets the edge of an upright range symmetric about 90°
+        const torsoEdge = Number(this.elements.torsoThreshold.value);
+
+        this.settings = {
+            ...this.settings,
+            audioEnabled: this.elements.audioNotifications.checked,
+            stretchReminders: this.elements.stretchReminders.checked,
+            reminderInterval: Number(this.elements.reminderInterval.value),
+            awayTimeout: Number(this.elements.awayTimeout.value),
+            sensitivityLevel: this.elements.sensitivity.value,
+            measurementPath: this.elements.measurementPath.value,
+            smoothingFilter: this.elements.smoothingFilter.value,
+            cameraDeviceId: this.elements.cameraDevice.value || null,
+            cameraResolution: this.elements.cameraResolution.value,
+            poseBackend: this.elements.poseBackend.value,
+            powerProfile: this.elements.powerProfile.value,
+            backgroundMode: this.elements.backgroundMode.value,
+            privacyMode: this.elements.privacyMode.checked,
+            privacySilhouette: this.elements.privacySilhouette.checked,
+            overlayLayers: {
+                skeleton: this.elements.overlaySkeleton.checked,
+                angles: this.elements.overlayAngles.checked,
+                ghost: this.elements.overlayGhost.checked
+            },
+            neckThreshold: Number(this.elements.neckThreshold.value),
+            torsoThresholdMin: Math.min(torsoEdge, 180 - torsoEdge),
+            torsoThresholdMax: Math.max(torsoEdge, 180 - torsoEdge)
+        };
+
+        this.updateRangeLabels();
+        this.applySettings();
+        if (this.settings.backgroundMode === 'monitor') {
+            this.requestNotificationPermission();
+        }
+    }
+
+    /**
+     * Update the labels next to the threshold sliders.
+     */
+    updateRangeLabels() {
+        this.elements.neckThresholdValue.textContent = `${this.elements.neckThreshold.value}°`;
+        this.elements.torsoThresholdValue.textContent = `${this.elements.torsoThreshold.value}°`;
+    }
+
+    /**
+     * Persist the current settings.
+     */
+    saveSettings() {
+        this.dataStorage.saveSettings(this.settings);
+        this.updateStatusDisplay('Settings saved.');
+    }
+
+    /**
+     * Restore default settings, keeping the calibrated baseline.
+     */
+    resetSettings() {
+        this.settings = {
+            ...this.dataStorage.defaultSettings,
+            postureBaseline: this.settings.postureBaseline
+        };
+        this.dataStorage.saveSettings(this.settings);
+        this.populateSettingsForm();
+        this.applySettings();
+    }
+
     /**
      * Start the posture monitoring session.
      */
@@ -120,28 +403,45 @@ class PostureGuardian {
         if (this.isRunning) return;
         
         this.updateStatusDisplay('Initializing camera...');
-        
+        if (this.settings.backgroundMode === 'monitor') {
+            this.requestNotificationPermission();
+        }
+
         try {
-            await this.poseDetection.initialize(
-                this.elements.video,
-                this.elements.canvas,
-                (results) => this.onPoseResults(results),
-                (error) => this.onPoseError(error)
-            );
-            
-            this.poseDetection.updateConfiguration(this.settings);
+            await this.poseDetection.updateConfiguration(this.getDetectionConfig());
+            if (!this.poseDetection.getSource()) {
+                await this.setInputSource(this.createCameraSource());
+            }
+            await this.poseDetection.initialize(this.elements.video, this.elements.canvas);
+
             await this.poseDetection.startDetection();
 
             this.isRunning = true;
             this.sessionStartTime = Date.now();
+            this.isPaused = false;
+            this.lastSeenTime = this.sessionStartTime;
+            this.awayTime = 0;
+            this.detectionSuspended = false;
+            this.sessionData = this.createSessionData();
+            this.postureStateMachine.reset();
+            // Timed by frame timestamps, which start with the first frame
+            this.activityTracker.reset();
+            this.subjectTracker.reset();
+            this.elements.warningCount.textContent = '0';
             this.startSessionTimer();
             
             this.audioFeedback.playSessionStart();
-            this.updateStatusDisplay('Monitoring...');
+            this.updateStatusDisplay(this.getCameraStatusMessage());
+            // Camera names are only visible once permission is granted
+            this.refreshCameraList();
             
             this.elements.startBtn.style.display = 'none';
             this.elements.stopBtn.style.display = 'inline-flex';
             this.elements.calibrateBtn.style.display = 'inline-flex';
+            this.elements.recordBtn.style.display = 'inline-flex';
+            if (MiniView.isSupported()) {
+                this.elements.miniViewBtn.style.display = 'inline-flex';
+            }
 
         } catch (error) {
             this.onPoseError(error);
@@ -156,43 +456,394 @@ class PostureGuardian {
         this.isRunning = false;
 
         this.poseDetection.stopDetection();
+        this.poseDetection.setBackground(false);
+        this.miniView.close();
+        if (this.poseDetection.isRecording()) {
+            this.toggleRecording();
+        }
+        if (this.isPaused) {
+            this.resumeFromAway(Date.now());
+        }
         this.stopSessionTimer();
+        this.sessionData.totalTime = this.getActiveSessionTime(Date.now());
+        this.postureStateMachine.finish();
+        this.updateSessionData();
+        this.hidePostureAlert();
+        this.hideBreakReminder();
+        this.closeExerciseModal();
         this.dataStorage.saveSessionData(this.sessionData);
+        this.dataStorage.addSessionData({
+            duration: Math.round(this.sessionData.totalTime / 1000),
+            goodPostureTime: Math.round(this.sessionData.goodPostureTime / 1000),
+            averageScore: this.sessionData.averageScore,
+            postureEvents: this.sessionData.postureEvents
+        });
         this.audioFeedback.playSessionEnd();
 
         this.updateStatusDisplay('Session stopped.');
         this.elements.startBtn.style.display = 'inline-flex';
         this.elements.stopBtn.style.display = 'none';
         this.elements.calibrateBtn.style.display = 'none';
+        this.elements.recordBtn.style.display = 'none';
+        this.elements.miniViewBtn.style.display = 'none';
+    }
+
+    /**
+     * Start recording landmarks, or stop and download the trace.
+     */
+    toggleRecording() {
+        if (!this.poseDetection.isRecording()) {
+            this.poseDetection.startRecording();
+            this.elements.recordBtn.textContent = 'Stop Recording';
+            return;
+        }
+
+        const trace = this.poseDetection.stopRecording();
+        this.elements.recordBtn.textContent = 'Record';
+
+        const blob = new Blob([trace], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `posture-trace-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Open or close the Picture-in-Picture score window.
+     */
+    async toggleMiniView() {
+        if (this.miniView.isOpen()) {
+            this.miniView.close();
+            return;
+        }
+
+        try {
+            await this.miniView.open();
+            this.elements.miniViewBtn.textContent = 'Close Mini View';
+        } catch (error) {
+            console.error('Failed to open mini view:', error);
+            this.updateStatusDisplay('Mini view is not available in this browser.');
+        }
+    }
+
+    /**
+     * Switch between the live camera and a recorded input.
+     */
+    onInputSourceChange() {
+        const kind = this.elements.inputSource.value;
+        this.elements.sourceFile.value = '';
+        this.elements.sourceFile.accept = kind === 'video' ? 'video/*' : '.jsonl';
+        this.elements.sourceFile.style.display = kind === 'camera' ? 'none' : 'block';
+
+        if (kind === 'camera') {
+            this.setInputSource(this.createCameraSource());
+        }
+    }
+
+    /**
+     * Camera source for the device and resolution chosen in settings.
+     */
+    createCameraSource() {
+        const [width, height] = this.settings.cameraResolution.split('x').map(Number);
+        const source = new FrameSources.CameraFrameSource(this.elements.video, {
+            deviceId: this.settings.cameraDeviceId,
+            width: width,
+            height: height
+        });
+        source.onStatusChange = (status) => this.onCameraStatus(status);
+        return source;
+    }
+
+    /**
+     * Reopen the camera when its device or resolution setting changed.
+     */
+    updateCameraSource() {
+        const source = this.poseDetection.getSource();
+        if (!source || source.kind !== 'camera') return;
+
+        const [width, height] = this.settings.cameraResolution.split('x').map(Number);
+        const options = source.options;
+        if (options.deviceId === this.settings.cameraDeviceId && options.width === width && options.height === height) {
+            return;
+        }
+        this.setInputSource(this.createCameraSource());
+    }
+
+    /**
+     * List the connected cameras in the settings panel, keeping the saved
+     * choice selectable while its camera is unplugged.
+     */
+    async refreshCameraList() {
+        let devices = [];
+        try {
+            devices = await FrameSources.CameraFrameSource.listDevices();
+        } catch (error) {
+            console.error('Failed to list cameras:', error);
+        }
+
+        const select = this.elements.cameraDevice;
+        const savedId = this.settings.cameraDeviceId;
+        select.innerHTML = '';
+        select.add(new Option('Default camera', ''));
+        devices.forEach((device, index) => {
+            if (device.deviceId) {
+                select.add(new Option(device.label || `Camera ${index + 1}`, device.deviceId));
+            }
+        });
+        if (savedId && !devices.some(device => device.deviceId === savedId)) {
+            select.add(new Option('Saved camera (not connected)', savedId));
+        }
+        select.value = savedId || '';
+    }
+
+    /**
+     * Follow the camera being unplugged and plugged back in.
+     */
+    onCameraStatus(status) {
+        // A stand-in camera frames the user differently
+        const previous = this.cameraStatus;
+        if (previous && previous.deviceId && status.deviceId && status.deviceId !== previous.deviceId) {
+            this.subjectTracker.setEnvelope(null);
+        }
+        this.cameraStatus = status;
+        if (this.isRunning) {
+            this.updateStatusDisplay(this.getCameraStatusMessage());
+        }
+        this.refreshCameraList();
+    }
+
+    /**
+     * Status line for the running session, noting a missing camera.
+     */
+    getCameraStatusMessage() {
+        const status = this.cameraStatus;
+        if (status && status.state === 'fallback') {
+            return `Selected camera unavailable, using ${status.label || 'another camera'}. Monitoring...`;
+        }
+        if (status && status.state === 'waiting') {
+            return 'Camera disconnected. Waiting for it to be reconnected...';
+        }
+        return 'Monitoring...';
+    }
+
+    /**
+     * Open the chosen video file or landmark recording.
+     */
+    async loadSourceFile() {
+        const file = this.elements.sourceFile.files[0];
+        if (!file) return;
+
+        try {
+            if (this.elements.inputSource.value === 'video') {
+                await this.setInputSource(new FrameSources.VideoFileFrameSource(this.elements.video, file));
+            } else {
+                const trace = LandmarkTrace.parse(await file.text());
+                await this.setInputSource(new FrameSources.LandmarkTraceSource(trace.frames));
+            }
+            this.updateStatusDisplay(`Loaded ${file.name}`);
+        } catch (error) {
+            console.error('Failed to open input file:', error);
+            this.updateStatusDisplay(`Cannot open ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Hand a frame source to pose detection and show its playback controls.
+     */
+    async setInputSource(source) {
+        clearInterval(this.playbackTimer);
+        this.playbackTimer = null;
+        this.cameraStatus = null;
+
+        // The calibrated position belongs to the old view; lock onto
+        // whoever appears in the new one
+        if (this.poseDetection.getSource()) {
+            this.subjectTracker.setEnvelope(null);
+        }
+
+        if (source.seekable) {
+            source.setPlaybackRate(Number(this.elements.playbackSpeed.value));
+            source.onEnded = () => this.updatePlaybackControls();
+            this.playbackTimer = setInterval(() => this.updatePlaybackControls(), 250);
+        }
+        this.elements.playbackControls.style.display = source.seekable ? 'flex' : 'none';
+
+        await this.poseDetection.setSource(source);
+        this.updatePlaybackControls();
+    }
+
+    /**
+     * Start posture, activity and subject tracking over after the frame
+     * clock jumped (seek or new source).
+     */
+    resetTracking() {
+        this.postureStateMachine.finish();
+        this.postureStateMachine.reset();
+        this.activityTracker.reset();
+        this.subjectTracker.reset();
+        this.elements.warningCount.textContent = '0';
+    }
+
+    /**
+     * Play or pause a recorded input.
+     */
+    togglePlayback() {
+        const source = this.poseDetection.getSource();
+        if (!source || !source.seekable) return;
+
+        if (source.isPaused()) {
+            source.play();
+        } else {
+            source.pause();
+        }
+        this.updatePlaybackControls();
+    }
+
+    /**
+     * Jump to the seek bar position.
+     */
+    seekPlayback() {
+        const source = this.poseDetection.getSource();
+        if (!source || !source.seekable) return;
+        source.seek(Number(this.elements.seekBar.value) / 1000 * source.getDuration());
+        this.updatePlaybackControls();
+    }
+
+    /**
+     * Apply the chosen playback speed.
+     */
+    setPlaybackSpeed() {
+        const source = this.poseDetection.getSource();
+        if (source && source.seekable) {
+            source.setPlaybackRate(Number(this.elements.playbackSpeed.value));
+        }
+    }
+
+    /**
+     * Show the playback position of a recorded input.
+     */
+    updatePlaybackControls() {
+        const source = this.poseDetection.getSource();
+        if (!source || !source.seekable) return;
+
+        const duration = source.getDuration();
+        const current = source.getCurrentTime();
+        this.elements.seekBar.value = String(duration > 0 ? Math.round(current / duration * 1000) : 0);
+        this.elements.playbackTime.textContent = `${this.formatTime(current)} / ${this.formatTime(duration)}`;
+        this.elements.playPauseBtn.textContent = source.isPaused() ? 'Play' : 'Pause';
     }
 
     /**
-     * Calibrate posture based on current position.
+     * Calibrate posture by capturing a few seconds of good posture.
      */
     calibratePosture() {
+        if (!this.isRunning) {
+            this.updateStatusDisplay('Start monitoring before calibrating.');
+            return;
+        }
         this.isCalibrating = true;
-        this.updateStatusDisplay('Hold a good posture for calibration...');
-        // The next pose result will be used for calibration
+        this.postureAnalysis.startCalibration();
+        this.updateStatusDisplay('Sit in your best posture and hold still...');
     }
 
     /**
      * Handle new pose results from the detection module.
      */
     onPoseResults(results) {
-        if (!results.poseLandmarks) return;
+        const now = Date.now();
+        const landmarks = results.landmarks || null;
+        // Trackers run on the frame clock so recorded input plays back at
+        // any speed; presence and the session timer stay on wall time
+        const frameTime = results.timestamp;
+
+        // Frames are sparser in the background or under slow inference;
+        // gaps up to the governor's interval are still continuous monitoring
+        const maxFrameGap = this.poseDetection.getMaxFrameGap();
+        this.postureStateMachine.updateConfig({ maxFrameGap });
+        this.activityTracker.updateConfig({ maxFrameGap });
+
+        // Someone other than the primary user counts as nobody being there;
+        // during calibration whoever is in view is the user
+        const subject = this.isCalibrating
+            ? { status: 'tracking' }
+            : this.subjectTracker.update(this.postureAnalysis.measureSubject(landmarks), frameTime);
+        const userLandmarks = subject.status === 'tracking' ? landmarks : null;
+        if (subject.relocked && this.subjectTracker.calibrated) {
+            this.updateStatusDisplay('Now following the person in view. Recalibrate if your seat has moved.');
+        }
+
+        // Empty frames still matter: nobody in view may be a break
+        this.updateActivity(userLandmarks, frameTime);
+        if (!userLandmarks) {
+            if (subject.status === 'lost') {
+                this.updatePostureStatus(this.postureAnalysis.getSubjectLostState());
+            }
+            this.checkPresence(now);
+            return;
+        }
+
+        if (this.isPaused) {
+            this.resumeFromAway(now);
+        }
+        this.lastSeenTime = now;
+
+        const imageSize = this.getImageSize(results);
 
         if (this.isCalibrating) {
-            const calibrationData = this.postureAnalysis.getCalibrationData(results.poseLandmarks);
-            this.settings = { ...this.settings, ...calibrationData };
-            this.dataStorage.saveSettings(this.settings);
-            this.isCalibrating = false;
-            this.updateStatusDisplay('Calibration complete!');
+            this.handleCalibrationFrame(results.landmarks, imageSize, results.worldLandmarks);
+            return;
+        }
+
+        // Stretching is not sitting posture; don't score or alert on it
+        if (this.exerciseCoach.isActive()) {
+            this.renderExerciseProgress(this.exerciseCoach.update(userLandmarks, imageSize, now));
             return;
         }
 
-        const postureData = this.postureAnalysis.analyzePose(results.poseLandmarks, this.settings);
+        // Analysed alongside detection, in the pose worker when available
+        const postureData = results.analysis;
         this.updateLiveStats(postureData);
-        this.updateSessionData(postureData);
+        this.updatePostureStatus(postureData);
+        this.postureStateMachine.update(postureData, frameTime);
+        this.updateSessionData();
+    }
+
+    /**
+     * Feed a frame to the running calibration and persist the baseline.
+     */
+    handleCalibrationFrame(landmarks, imageSize, worldLandmarks) {
+        const result = this.postureAnalysis.addCalibrationFrame(landmarks, imageSize, worldLandmarks);
+
+        if (result.status === 'collecting') {
+            this.updateStatusDisplay(`Calibrating... ${Math.round(result.progress * 100)}%`);
+            return;
+        }
+
+        this.isCalibrating = false;
+
+        if (result.status === 'complete') {
+            this.settings = { ...this.settings, postureBaseline: result.baseline };
+            this.dataStorage.saveSettings(this.settings);
+            this.poseDetection.updateAnalysis({ baseline: result.baseline });
+            this.subjectTracker.setEnvelope(result.baseline.envelope);
+            this.updateStatusDisplay('Calibration complete!');
+        } else {
+            this.updateStatusDisplay(`Calibration failed: ${result.reason}`);
+        }
+    }
+
+    /**
+     * Get the pixel size of the frame the landmarks were computed on.
+     */
+    getImageSize(results) {
+        if (results.imageSize && results.imageSize.width) {
+            return results.imageSize;
+        }
+        return { width: this.elements.canvas.width, height: this.elements.canvas.height };
     }
 
     /**
@@ -213,15 +864,331 @@ class PostureGuardian {
      * Update live statistics display (angles).
      */
     updateLiveStats(postureData) {
-        this.elements.neckAngle.textContent = `${postureData.angles.neck.toFixed(0)}°`;
-        this.elements.torsoAngle.textContent = `${postureData.angles.torso.toFixed(0)}°`;
+        this.elements.neckAngle.textContent = postureData.angles.neck === null
+            ? '--°'
+            : `${postureData.angles.neck.toFixed(0)}°`;
+        // Torso angle is unavailable in upper-body mode
+        this.elements.torsoAngle.textContent = postureData.angles.torso === null
+            ? '--°'
+            : `${postureData.angles.torso.toFixed(0)}°`;
     }
     
     /**
-     * Update session data based on posture.
+     * Reflect the frame's status in the indicator; uncertain frames explain
+     * which landmarks the camera cannot see well, lost frames that someone
+     * else is in view, and scored frames any metric the backend cannot measure.
+     */
+    updatePostureStatus(postureData) {
+        const status = postureData.status;
+        this.miniView.update({ score: postureData.score, status: status });
+        const indicator = this.elements.statusIndicator;
+        if (indicator) {
+            indicator.classList.toggle('good', status === 'excellent' || status === 'good');
+            indicator.classList.toggle('poor', status === 'warning' || status === 'poor');
+            indicator.classList.toggle('uncertain', status === 'uncertain' || status === 'lost');
+        }
+
+        const explained = ['uncertain', 'lost'];
+        const unavailableReason = postureData.unavailableReason || null;
+        if (explained.includes(status)) {
+            this.updateStatusDisplay(`${postureData.reason}. ${postureData.recommendations[0]}.`);
+        } else if (explained.includes(this.lastPostureStatus) || unavailableReason !== this.lastUnavailableReason) {
+            this.updateStatusDisplay(unavailableReason ? `Monitoring... ${unavailableReason}.` : 'Monitoring...');
+        }
+        this.lastPostureStatus = status;
+        this.lastUnavailableReason = unavailableReason;
+    }
+
+    /**
+     * Pause the session once nobody has been in view for awayTimeout.
+     * Nothing is known about presence while detection is suspended.
+     */
+    checkPresence(now) {
+        if (!this.isRunning || this.isPaused || this.detectionSuspended || this.lastSeenTime === null) return;
+        if (now - this.lastSeenTime < this.settings.awayTimeout * 1000) return;
+
+        // The away interval starts when the user was last seen
+        this.isPaused = true;
+        this.awayStartTime = this.lastSeenTime;
+        this.postureStateMachine.finish();
+        this.updateSessionData();
+        this.hidePostureAlert();
+        this.updateStatusDisplay('Paused: no one in view');
+    }
+
+    /**
+     * The user is back: record the away interval as a break and carry on.
+     */
+    resumeFromAway(now) {
+        this.isPaused = false;
+        this.awayTime += now - this.awayStartTime;
+        this.sessionData.timeline.push({
+            type: 'break',
+            start: new Date(this.awayStartTime).toISOString(),
+            end: new Date(now).toISOString(),
+            duration: Math.round((now - this.awayStartTime) / 1000)
+        });
+        this.awayStartTime = null;
+        this.updateStatusDisplay('Monitoring...');
+    }
+
+    /**
+     * Session time excluding intervals when nobody was in view (ms).
+     */
+    getActiveSessionTime(now) {
+        const currentAway = this.isPaused ? now - this.awayStartTime : 0;
+        return now - this.sessionStartTime - this.awayTime - currentAway;
+    }
+
+    /**
+     * Track movement and time seated; shows how long since the last break.
+     */
+    updateActivity(landmarks, timestamp) {
+        if (!this.isRunning) return;
+        const status = this.activityTracker.update(landmarks, timestamp);
+        this.elements.sedentaryTime.textContent = this.formatDuration(status.sedentaryTime);
+
+        // Frames are sampled slowly while posture is stable
+        this.poseDetection.reportActivity({
+            moving: status.moving || this.isCalibrating || this.exerciseCoach.isActive(),
+            poorPosture: this.postureStateMachine.isInEvent()
+        });
+    }
+
+    /**
+     * The user has been seated for a full reminder interval.
+     */
+    onBreakDue(status) {
+        this.showExerciseSummary(this.currentExercise);
+        this.elements.exerciseReminder.style.display = 'block';
+        this.audioFeedback.playStretchReminder();
+        this.notifyInBackground('Time for a break', `You have been sitting for ${this.formatDuration(status.sedentaryTime)}.`);
+        console.log(`Break due after ${this.formatDuration(status.sedentaryTime)} seated`);
+    }
+
+    /**
+     * The user stood up or left for long enough to count as a break.
      */
-    updateSessionData(postureData) {
-        // This is where you would update session data like good posture time, etc.
+    onBreakTaken(breakInfo) {
+        this.hideBreakReminder();
+        console.log(`Break detected (${breakInfo.type})`);
+    }
+
+    /**
+     * Hide the break reminder card.
+     */
+    hideBreakReminder() {
+        this.elements.exerciseReminder.style.display = 'none';
+    }
+
+    /**
+     * Describe an exercise on the reminder card.
+     */
+    showExerciseSummary(exercise) {
+        this.elements.exerciseName.textContent = exercise.name;
+        this.elements.exerciseDescription.textContent = exercise.description;
+        this.elements.exerciseTimer.textContent = this.formatExerciseTarget(exercise);
+    }
+
+    /**
+     * "5 reps" for repeated exercises, "15s" for a single hold.
+     */
+    formatExerciseTarget(exercise) {
+        const hold = exercise.steps.reduce((longest, step) => Math.max(longest, step.hold || 0), 0);
+        return exercise.reps === 1 && hold > 0 ? `${hold / 1000}s` : `${exercise.reps} reps`;
+    }
+
+    /**
+     * Show the exercise modal for an exercise, ready to start.
+     */
+    openExerciseModal(exercise) {
+        this.exerciseCoach.stop();
+        this.currentExercise = exercise;
+
+        this.elements.modalExerciseName.textContent = exercise.name;
+        this.elements.modalTimer.textContent = this.formatExerciseTarget(exercise);
+        this.elements.exerciseCue.textContent = exercise.description;
+        this.elements.exerciseProgress.style.width = '0%';
+        this.elements.modalStartStop.textContent = 'Start Exercise';
+
+        const list = document.createElement('ol');
+        exercise.instructions.forEach(instruction => {
+            const item = document.createElement('li');
+            item.textContent = instruction;
+            list.appendChild(item);
+        });
+        this.elements.modalInstructions.replaceChildren(list);
+
+        this.elements.exerciseModal.style.display = 'flex';
+    }
+
+    /**
+     * Start or stop the exercise in the modal; it is checked against the live pose.
+     */
+    toggleExercise() {
+        if (this.exerciseCoach.isActive()) {
+            this.exerciseCoach.stop();
+            this.elements.modalStartStop.textContent = 'Start Exercise';
+            this.elements.exerciseCue.textContent = 'Stopped';
+            return;
+        }
+
+        if (!this.isRunning) {
+            this.elements.exerciseCue.textContent = 'Start monitoring so the camera can follow along';
+            return;
+        }
+
+        this.exerciseCoach.start(this.currentExercise, Date.now());
+        this.elements.modalStartStop.textContent = 'Stop';
+        this.renderExerciseProgress(this.exerciseCoach.getProgress());
+    }
+
+    /**
+     * Move on to the next exercise in the library.
+     */
+    skipExercise() {
+        this.openExerciseModal(ExerciseLibrary.next(this.currentExercise.id));
+    }
+
+    /**
+     * Abandon any running exercise and hide the modal.
+     */
+    closeExerciseModal() {
+        this.exerciseCoach.stop();
+        this.elements.exerciseModal.style.display = 'none';
+    }
+
+    /**
+     * Show reps, hold countdown and the current cue.
+     */
+    renderExerciseProgress(progress) {
+        this.elements.modalTimer.textContent = progress.holdRemaining !== null && progress.phase === 'active'
+            ? `${Math.ceil(progress.holdRemaining / 1000)}s`
+            : `${progress.reps}/${progress.targetReps}`;
+        this.elements.exerciseCue.textContent = progress.cue;
+        this.elements.exerciseProgress.style.width = `${Math.round(progress.progress * 100)}%`;
+    }
+
+    /**
+     * The exercise was verified as performed.
+     */
+    onExerciseComplete(result) {
+        this.sessionData.exercises.push({
+            exerciseId: result.exerciseId,
+            completedAt: new Date().toISOString(),
+            reps: result.reps,
+            duration: Math.round(result.duration / 1000)
+        });
+        this.elements.modalStartStop.textContent = 'Start Exercise';
+        this.hideBreakReminder();
+        this.audioFeedback.playAchievement();
+
+        this.currentExercise = ExerciseLibrary.next(result.exerciseId);
+        this.showExerciseSummary(this.currentExercise);
+    }
+
+    /**
+     * Create an empty record for a new session.
+     */
+    createSessionData() {
+        return {
+            startTime: new Date().toISOString(),
+            totalTime: 0,
+            goodPostureTime: 0,
+            averageScore: 0,
+            postureEvents: [],
+            timeline: [], // away intervals, recorded as breaks
+            exercises: [] // exercises verified as completed
+        };
+    }
+
+    /**
+     * Update session statistics from the posture state machine.
+     */
+    updateSessionData() {
+        const stats = this.postureStateMachine.getStats();
+        this.sessionData.goodPostureTime = stats.goodPostureTime;
+        this.sessionData.averageScore = Math.round(stats.averageScore);
+
+        const monitored = stats.monitoredTime || 1;
+        this.elements.goodPostureTime.textContent = this.formatDuration(stats.goodPostureTime);
+        this.elements.goodPostureProgress.style.width = `${(stats.goodPostureTime / monitored) * 100}%`;
+    }
+
+    /**
+     * A sustained bad-posture event has started.
+     */
+    onPostureEventStart(event) {
+        this.elements.warningCount.textContent = String(this.postureStateMachine.getStats().eventCount);
+        const message = event.issues[0] || 'Poor posture detected!';
+        this.showPostureAlert(message);
+        this.miniView.update({ message: message });
+        this.notifyInBackground('Check your posture', message);
+        this.audioFeedback.playPostureAlert();
+    }
+
+    /**
+     * The user recovered from a bad-posture event.
+     */
+    onPostureEventEnd(event) {
+        // Event times are frame times; the event ends on the latest frame
+        const elapsed = this.postureStateMachine.lastFrameTime - event.start;
+        this.sessionData.postureEvents.push({
+            start: new Date(Date.now() - elapsed).toISOString(),
+            duration: Math.round(event.duration / 1000),
+            peakScore: event.peakSeverity.score,
+            peakStatus: event.peakSeverity.status,
+            issues: event.issues
+        });
+        this.hidePostureAlert();
+        this.miniView.update({ message: '' });
+    }
+
+    /**
+     * Ask once for permission to notify while the tab is hidden.
+     */
+    requestNotificationPermission() {
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+    }
+
+    /**
+     * Show a system notification when the app is not in view; the banner
+     * and sound cover the visible case.
+     */
+    async notifyInBackground(title, body) {
+        if (!document.hidden || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+            return;
+        }
+
+        const options = { body: body, icon: 'icons/icon-192.png', tag: 'posture-guardian' };
+        try {
+            // Pages cannot construct notifications on some mobile browsers
+            const registration = navigator.serviceWorker && await navigator.serviceWorker.getRegistration();
+            if (registration) {
+                await registration.showNotification(title, options);
+            } else {
+                new Notification(title, options);
+            }
+        } catch (error) {
+            console.error('Failed to show notification:', error);
+        }
+    }
+
+    /**
+     * Show the posture alert banner.
+     */
+    showPostureAlert(message) {
+        this.elements.alertMessage.textContent = message;
+        this.elements.alertBanner.style.display = 'block';
+    }
+
+    /**
+     * Hide the posture alert banner.
+     */
+    hidePostureAlert() {
+        this.elements.alertBanner.style.display = 'none';
     }
 
     /**
@@ -241,8 +1208,10 @@ class PostureGuardian {
         if (this.sessionTimer) clearInterval(this.sessionTimer);
         this.sessionTimer = setInterval(() => {
             if (!this.sessionStartTime) return;
-            const elapsed = Date.now() - this.sessionStartTime;
-            this.sessionData.totalTime = elapsed;
+            const now = Date.now();
+            // Frames may stop arriving altogether, so check presence here too
+            this.checkPresence(now);
+            this.sessionData.totalTime = this.getActiveSessionTime(now);
             this.updateHeaderStats();
         }, 1000);
     }
@@ -255,24 +1224,25 @@ class PostureGuardian {
         this.sessionTimer = null;
     }
 
-    /**
-     * Adjust canvas size to match video element.
-     */
-    adjustCanvasSize() {
-        if (this.elements.video && this.elements.canvas) {
-            const videoRect = this.elements.video.getBoundingClientRect();
-            this.elements.canvas.width = videoRect.width;
-            this.elements.canvas.height = videoRect.height;
-        }
-    }
-
     /**
      * Handle page visibility changes.
      */
     handleVisibilityChange() {
-        if (document.hidden && this.isRunning) {
+        if (!this.isRunning) return;
+
+        if (this.settings.backgroundMode === 'monitor') {
+            // Keep analysing at a reduced rate; alerts become notifications
+            this.poseDetection.setBackground(document.hidden);
+        } else if (document.hidden) {
+            this.detectionSuspended = true;
             this.poseDetection.stopDetection();
-        } else if (!document.hidden && this.isRunning) {
+        } else {
+            // Time spent hidden was not watched, so it is not an absence:
+            // the away timeout starts over from now
+            this.detectionSuspended = false;
+            if (!this.isPaused) {
+                this.lastSeenTime = Date.now();
+            }
             this.poseDetection.startDetection();
         }
     }
@@ -286,6 +1256,14 @@ class PostureGuardian {
         }
     }
 
+    /**
+     * Format a duration in milliseconds as "Xm Ys".
+     */
+    formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        return `${Math.floor(totalSeconds / 60)}m ${totalSeconds % 60}s`;
+    }
+
     /**
      * Format time from milliseconds to HH:MM:SS.
      */
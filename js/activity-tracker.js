@@ -0,0 +1,269 @@
+/**
+ * Activity Tracker Module
+ * Measures how much the user moves from the landmark stream, how long they
+ * have been seated without a break, and recognises real breaks (standing up
+ * or leaving) so break reminders only fire when one is actually overdue
+ */
+
+class ActivityTracker {
+    constructor(options = {}) {
+        this.config = {
+            enabled: true,               // fire break reminders
+            breakInterval: 30 * 60000,   // ms seated before a break is due
+            minBreakDuration: 60000,     // ms away/standing that counts as a break
+            standRise: 0.75,             // shoulder rise (shoulder widths) that means standing
+            awayShrink: 0.6,             // shoulder width ratio that means stepped away
+            movementThreshold: 0.1,      // shoulder widths/s that counts as moving
+            positionSmoothing: 300,      // ms time constant for landmark positions
+            energySmoothing: 2000,       // ms time constant for motion energy
+            maxFrameGap: 2000            // longer gaps restart the motion estimate
+        };
+
+        // Upper-body landmarks used for motion: nose, shoulders, elbows, wrists
+        this.motionLandmarks = [0, 11, 12, 13, 14, 15, 16];
+
+        // Callbacks
+        this.onBreakDue = null;
+        this.onBreakTaken = null;
+
+        this.updateConfig(options);
+        this.reset();
+    }
+
+    /**
+     * Update thresholds and timings
+     * @param {Object} newConfig - Partial configuration
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+
+    /**
+     * Start a new sedentary period, e.g. when monitoring starts
+     * @param {number|null} [timestamp] - Start time in ms; the next frame's time by default
+     */
+    reset(timestamp = null) {
+        this.presence = 'seated';        // 'seated' | 'standing' | 'away'
+        this.sittingSince = timestamp;
+        this.leftSeatAt = null;
+        this.stillSince = timestamp;
+        this.remindersSent = 0;
+        this.breaks = [];
+
+        this.reference = null;           // seated shoulder height and width
+        this.smoothedPoints = null;
+        this.motionEnergy = 0;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * Feed one frame of landmarks; null when nobody is detected
+     * @param {Array|null} landmarks - Normalized pose landmarks
+     * @param {number} timestamp - Frame time in ms
+     * @returns {Object} Current activity status
+     */
+    update(landmarks, timestamp = Date.now()) {
+        if (this.sittingSince === null) {
+            this.sittingSince = timestamp;
+            this.stillSince = timestamp;
+        }
+        const shoulders = this.getShoulders(landmarks);
+        const presence = this.classifyPresence(shoulders);
+
+        if (presence === 'seated') {
+            this.updateMotion(landmarks, shoulders, timestamp);
+            this.updateReference(shoulders, timestamp);
+        } else {
+            this.smoothedPoints = null;
+        }
+
+        this.updatePresence(presence, timestamp);
+        this.checkBreakDue(timestamp);
+        this.lastTimestamp = timestamp;
+
+        return this.getStatus(timestamp);
+    }
+
+    /**
+     * Shoulder midpoint and width, or null if the shoulders are not visible
+     */
+    getShoulders(landmarks) {
+        if (!landmarks) return null;
+        const left = landmarks[11];
+        const right = landmarks[12];
+        const isVisible = landmark => landmark && landmark.visibility > 0.5;
+        if (!isVisible(left) || !isVisible(right)) return null;
+
+        const width = Math.hypot(left.x - right.x, left.y - right.y);
+        if (width === 0) return null;
+        return { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2, width };
+    }
+
+    /**
+     * Compare the shoulders with the seated reference
+     */
+    classifyPresence(shoulders) {
+        if (!shoulders) return 'away';
+        if (!this.reference) return 'seated';
+
+        if (shoulders.width < this.reference.width * this.config.awayShrink) {
+            return 'away';
+        }
+        if (this.reference.y - shoulders.y > this.config.standRise * this.reference.width) {
+            return 'standing';
+        }
+        return 'seated';
+    }
+
+    /**
+     * Track the seated shoulder position slowly so gradual slouching does
+     * not read as standing up
+     */
+    updateReference(shoulders, timestamp) {
+        if (!this.reference) {
+            this.reference = { ...shoulders };
+            return;
+        }
+        const alpha = this.blend(timestamp, 30000);
+        this.reference.x += alpha * (shoulders.x - this.reference.x);
+        this.reference.y += alpha * (shoulders.y - this.reference.y);
+        this.reference.width += alpha * (shoulders.width - this.reference.width);
+    }
+
+    /**
+     * Motion energy: mean speed of the smoothed upper-body landmarks in
+     * shoulder widths per second, itself smoothed over a few seconds
+     */
+    updateMotion(landmarks, shoulders, timestamp) {
+        const points = this.motionLandmarks.map(index => {
+            const landmark = landmarks[index];
+            return landmark && landmark.visibility > 0.5 ? { x: landmark.x, y: landmark.y } : null;
+        });
+
+        const elapsed = this.lastTimestamp === null ? 0 : timestamp - this.lastTimestamp;
+        if (!this.smoothedPoints || elapsed <= 0 || elapsed > this.config.maxFrameGap) {
+            this.smoothedPoints = points;
+            return;
+        }
+
+        const alpha = this.blend(timestamp, this.config.positionSmoothing);
+        let distance = 0;
+        let count = 0;
+        this.smoothedPoints = points.map((point, index) => {
+            const previous = this.smoothedPoints[index];
+            if (!point) return null;
+            if (!previous) return point;
+
+            const next = {
+                x: previous.x + alpha * (point.x - previous.x),
+                y: previous.y + alpha * (point.y - previous.y)
+            };
+            distance += Math.hypot(next.x - previous.x, next.y - previous.y);
+            count++;
+            return next;
+        });
+        if (count === 0) return;
+
+        const speed = (distance / count) / shoulders.width / (elapsed / 1000);
+        this.motionEnergy += this.blend(timestamp, this.config.energySmoothing) * (speed - this.motionEnergy);
+
+        if (this.motionEnergy > this.config.movementThreshold) {
+            this.stillSince = timestamp;
+        }
+    }
+
+    /**
+     * Exponential smoothing factor for the time since the previous frame
+     */
+    blend(timestamp, timeConstant) {
+        const elapsed = this.lastTimestamp === null ? 0 : timestamp - this.lastTimestamp;
+        if (elapsed <= 0) return 0;
+        return 1 - Math.exp(-Math.min(elapsed, this.config.maxFrameGap) / timeConstant);
+    }
+
+    /**
+     * Recognise breaks: leaving the seat only counts once it has lasted
+     * minBreakDuration, so reaching for something does not reset the clock
+     */
+    updatePresence(presence, timestamp) {
+        if (presence !== 'seated') {
+            if (this.leftSeatAt === null) {
+                this.leftSeatAt = timestamp;
+            }
+            if (this.presence === 'seated' && timestamp - this.leftSeatAt >= this.config.minBreakDuration) {
+                this.presence = presence;
+                this.remindersSent = 0;
+                const breakInfo = { start: this.leftSeatAt, type: presence };
+                this.breaks.push(breakInfo);
+                if (this.onBreakTaken) {
+                    this.onBreakTaken({ ...breakInfo });
+                }
+            } else if (this.presence !== 'seated') {
+                this.presence = presence;
+            }
+            return;
+        }
+
+        if (this.presence !== 'seated') {
+            // Back from a break: a new sedentary period starts now
+            const breakInfo = this.breaks[this.breaks.length - 1];
+            breakInfo.end = timestamp;
+            breakInfo.duration = timestamp - breakInfo.start;
+            this.sittingSince = timestamp;
+            this.stillSince = timestamp;
+            this.reference = null;
+            this.presence = 'seated';
+        }
+        this.leftSeatAt = null;
+    }
+
+    /**
+     * Fire a reminder for each full interval spent seated
+     */
+    checkBreakDue(timestamp) {
+        if (!this.config.enabled || this.presence !== 'seated') return;
+
+        const due = Math.floor(this.getSedentaryTime(timestamp) / this.config.breakInterval);
+        if (due > this.remindersSent) {
+            this.remindersSent = due;
+            if (this.onBreakDue) {
+                this.onBreakDue(this.getStatus(timestamp));
+            }
+        }
+    }
+
+    /**
+     * Time seated since the last break (ms)
+     */
+    getSedentaryTime(timestamp = Date.now()) {
+        return this.presence === 'seated' && this.sittingSince !== null ? timestamp - this.sittingSince : 0;
+    }
+
+    /**
+     * Get the current activity summary
+     */
+    getStatus(timestamp = Date.now()) {
+        const sedentaryTime = this.getSedentaryTime(timestamp);
+        return {
+            presence: this.presence,
+            motionEnergy: this.motionEnergy,
+            moving: this.presence === 'seated' && this.motionEnergy > this.config.movementThreshold,
+            sedentaryTime: sedentaryTime,
+            stillTime: this.presence === 'seated' && this.stillSince !== null ? timestamp - this.stillSince : 0,
+            breakOverdue: this.config.enabled && sedentaryTime >= this.config.breakInterval,
+            breakCount: this.breaks.length
+        };
+    }
+
+    /**
+     * Get recognised breaks
+     */
+    getBreaks() {
+        return this.breaks.map(breakInfo => ({ ...breakInfo }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActivityTracker;
+}
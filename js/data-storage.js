@@ -17,11 +17,26 @@ class DataStorage {
             audioEnabled: true,
             stretchReminders: true,
             reminderInterval: 30, // minutes
+            awayTimeout: 10, // seconds without a person before the session pauses
             sensitivityLevel: 'medium',
             achievementsEnabled: true,
             neckThreshold: 15, // degrees
             torsoThresholdMin: 85, // degrees
             torsoThresholdMax: 95, // degrees
+            postureBaseline: null, // personal neutral from calibration
+            measurementPath: '2d', // '2d' image landmarks or '3d' world landmarks
+            smoothingFilter: 'oneEuro', // 'movingAverage', 'oneEuro' or 'kalman'
+            poseBackend: 'mediapipe', // 'mediapipe', 'movenet-lightning' or 'movenet-thunder'
+            powerProfile: 'balanced', // 'performance', 'balanced' or 'batterySaver'
+            overlayLayers: { skeleton: true, angles: true, ghost: true }, // camera overlay layers shown
+            privacyMode: false, // hide the camera image and show an avatar
+            privacySilhouette: false, // draw the segmentation silhouette behind the avatar
+            backgroundMode: 'monitor', // 'monitor' keeps analysing while the tab is hidden, 'pause' stops
+            cameraDeviceId: null, // enumerateDevices deviceId, null for the default camera
+            cameraResolution: '640x480', // requested camera size, 'WIDTHxHEIGHT'
+            postureDwellTime: 10, // seconds of poor posture before alerting
+            poorScoreThreshold: 60, // score that starts a poor-posture event
+            recoveryScoreThreshold: 75, // score that ends it
             notificationVolume: 0.7,
             theme: 'light',
             language: 'en'
@@ -0,0 +1,255 @@
+/**
+ * Exercise Coach Module
+ * Runs one exercise from ExerciseLibrary against the live pose: checks each
+ * step's landmark conditions, counts reps and hold time, and only reports
+ * completion when the movement was actually performed
+ */
+
+class ExerciseCoach {
+    /**
+     * @param {PostureAnalysis} postureAnalysis - Used for its landmark measurements
+     */
+    constructor(postureAnalysis, options = {}) {
+        this.postureAnalysis = postureAnalysis;
+        this.config = {
+            settleTime: 1500    // ms at rest to capture the user's neutral values
+        };
+
+        // Callbacks
+        this.onComplete = null;
+
+        this.updateConfig(options);
+        this.stop();
+    }
+
+    /**
+     * Update timings
+     * @param {Object} newConfig - Partial configuration
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+
+    /**
+     * Begin an exercise
+     * @param {Object} exercise - Definition from ExerciseLibrary
+     * @param {number} timestamp - Start time in ms
+     */
+    start(exercise, timestamp = Date.now()) {
+        this.exercise = exercise;
+        this.phase = 'settling';        // 'settling' | 'active' | 'complete'
+        this.startedAt = timestamp;
+        this.neutralSamples = [];
+        this.neutral = {};
+        this.reps = 0;
+        this.stepIndex = 0;
+        this.stepSince = null;
+        this.lastTimestamp = timestamp;
+        this.missing = [];
+    }
+
+    /**
+     * Abandon the current exercise without completing it
+     */
+    stop() {
+        this.exercise = null;
+        this.phase = 'idle';
+    }
+
+    /**
+     * Whether an exercise is running
+     */
+    isActive() {
+        return this.exercise !== null && this.phase !== 'complete';
+    }
+
+    /**
+     * Feed one frame
+     * @param {Array|null} landmarks - Normalized pose landmarks
+     * @param {Object} imageSize - { width, height }
+     * @param {number} timestamp - Frame time in ms
+     * @returns {Object} Progress, see getProgress
+     */
+    update(landmarks, imageSize, timestamp = Date.now()) {
+        if (!this.isActive()) return this.getProgress(timestamp);
+        this.lastTimestamp = timestamp;
+
+        const features = landmarks ? this.extractFeatures(landmarks, imageSize) : {};
+
+        if (this.phase === 'settling') {
+            this.neutralSamples.push(features);
+            if (timestamp - this.startedAt >= this.config.settleTime) {
+                this.neutral = this.averageFeatures(this.neutralSamples);
+                this.phase = 'active';
+            }
+            return this.getProgress(timestamp);
+        }
+
+        const step = this.exercise.steps[this.stepIndex];
+        this.missing = step.when
+            .filter(condition => typeof features[condition.feature] !== 'number')
+            .map(condition => condition.feature);
+        const met = this.missing.length === 0 && step.when.every(condition => this.test(condition, features));
+
+        if (!met) {
+            // A broken hold starts over
+            this.stepSince = null;
+            return this.getProgress(timestamp);
+        }
+
+        if (this.stepSince === null) {
+            this.stepSince = timestamp;
+        }
+        if (timestamp - this.stepSince >= (step.hold || 0)) {
+            this.advance(timestamp);
+        }
+        return this.getProgress(timestamp);
+    }
+
+    /**
+     * Move to the next step, counting a rep at the end of the sequence
+     */
+    advance(timestamp) {
+        this.stepSince = null;
+        this.stepIndex++;
+        if (this.stepIndex < this.exercise.steps.length) return;
+
+        this.stepIndex = 0;
+        this.reps++;
+        if (this.reps >= this.exercise.reps) {
+            this.phase = 'complete';
+            if (this.onComplete) {
+                this.onComplete({
+                    exerciseId: this.exercise.id,
+                    reps: this.reps,
+                    duration: timestamp - this.startedAt
+                });
+            }
+        }
+    }
+
+    /**
+     * Evaluate one condition against the frame's features
+     */
+    test(condition, features) {
+        let value = features[condition.feature];
+        if (condition.relative) {
+            const neutral = this.neutral[condition.feature];
+            if (typeof neutral !== 'number') return false;
+            value -= neutral;
+        }
+
+        if (condition.above !== undefined && !(value > condition.above)) return false;
+        if (condition.below !== undefined && !(value < condition.below)) return false;
+        if (condition.between && !(value >= condition.between[0] && value <= condition.between[1])) return false;
+        return true;
+    }
+
+    /**
+     * Pose features the exercise conditions refer to; a feature whose
+     * landmarks are not visible is left out
+     */
+    extractFeatures(landmarks, imageSize) {
+        const analysis = this.postureAnalysis;
+        const isVisible = index => landmarks[index] && landmarks[index].visibility > 0.5;
+        const features = {};
+
+        const headPose = analysis.estimateHeadPose(landmarks, imageSize);
+        if (headPose) {
+            features.headRoll = headPose.roll;
+        }
+
+        const ears = [7, 8].filter(isVisible).map(index => landmarks[index]);
+        if (![0, 11, 12].every(isVisible) || ears.length === 0) {
+            return features;
+        }
+
+        const upperBody = analysis.extractUpperBodyMeasurements(
+            landmarks[0], ears, landmarks[11], landmarks[12], imageSize
+        );
+        features.headForward = upperBody.headForwardOffset;
+        // The ear-to-shoulder gap shrinks as the shoulders rise
+        features.shoulderLift = -upperBody.earShoulderGap;
+
+        if (isVisible(15) && isVisible(16)) {
+            const lowerWrist = Math.max(landmarks[15].y, landmarks[16].y);
+            features.wristsAboveHead = (landmarks[0].y - lowerWrist) * imageSize.height / upperBody.shoulderWidth;
+        }
+
+        const joints = analysis.extractJointAngles(landmarks, landmarks.map(landmark => landmark && {
+            x: landmark.x * imageSize.width,
+            y: landmark.y * imageSize.height,
+            z: 0
+        }));
+        if (joints.leftElbow !== null && joints.rightElbow !== null) {
+            features.elbowExtension = Math.min(joints.leftElbow, joints.rightElbow);
+        }
+
+        return features;
+    }
+
+    /**
+     * Mean of each feature over the settling frames
+     */
+    averageFeatures(samples) {
+        const totals = {};
+        samples.forEach(features => {
+            Object.keys(features).forEach(name => {
+                totals[name] = totals[name] || { sum: 0, count: 0 };
+                totals[name].sum += features[name];
+                totals[name].count++;
+            });
+        });
+        return Object.keys(totals).reduce((neutral, name) => {
+            neutral[name] = totals[name].sum / totals[name].count;
+            return neutral;
+        }, {});
+    }
+
+    /**
+     * Current progress for the exercise UI
+     * @returns {Object} { exerciseId, phase, cue, reps, targetReps, holdRemaining, progress, missing }
+     */
+    getProgress(timestamp = this.lastTimestamp) {
+        if (!this.exercise) {
+            return { exerciseId: null, phase: 'idle', cue: '', reps: 0, targetReps: 0, holdRemaining: null, progress: 0, missing: [] };
+        }
+
+        const exercise = this.exercise;
+        const step = exercise.steps[this.stepIndex];
+        const holding = this.phase === 'active' && step.hold && this.stepSince !== null;
+        const holdRemaining = step.hold
+            ? Math.max(0, step.hold - (holding ? timestamp - this.stepSince : 0))
+            : null;
+
+        // Completed steps, with the current hold counting partially
+        const stepFraction = step.hold && holding ? (timestamp - this.stepSince) / step.hold : 0;
+        const done = this.reps * exercise.steps.length + this.stepIndex + Math.min(1, stepFraction);
+        const total = exercise.reps * exercise.steps.length;
+
+        let cue = step.cue;
+        if (this.phase === 'settling') {
+            cue = 'Sit upright and relax';
+        } else if (this.phase === 'complete') {
+            cue = 'Well done!';
+        } else if (this.missing.length > 0) {
+            cue = 'Move so the camera can see you fully';
+        }
+
+        return {
+            exerciseId: exercise.id,
+            phase: this.phase,
+            cue: cue,
+            reps: this.reps,
+            targetReps: exercise.reps,
+            holdRemaining: holdRemaining,
+            progress: this.phase === 'complete' ? 1 : done / total,
+            missing: [...this.missing]
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExerciseCoach;
+}
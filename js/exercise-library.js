@@ -0,0 +1,128 @@
+/**
+ * Exercise Library
+ * Desk stretches described declaratively so ExerciseCoach can verify them
+ * from the live pose
+ */
+
+const ExerciseLibrary = (() => {
+    /**
+     * Each exercise is a sequence of steps repeated `reps` times. A step is
+     * reached when all of its `when` conditions hold, and must keep holding
+     * for `hold` ms if given. Conditions test one pose feature:
+     *   { feature, above } / { feature, below } / { feature, between: [min, max] }
+     * Features (see ExerciseCoach.extractFeatures):
+     *   headRoll          degrees, positive towards the user's left shoulder
+     *   headForward       ear distance in front of the shoulders (shoulder widths)
+     *   shoulderLift      rise of the shoulders towards the ears (shoulder widths)
+     *   wristsAboveHead   height of the lower wrist above the nose (shoulder widths)
+     *   elbowExtension    angle of the more bent elbow (degrees, 180 = straight)
+     * `relative: true` measures a feature against the user's resting value,
+     * captured while they settle at the start.
+     */
+    const exercises = [
+        {
+            id: 'neckTilts',
+            name: 'Neck Tilts',
+            icon: '🙆',
+            description: 'Gently tilt your head to each side',
+            instructions: [
+                'Sit upright and look straight ahead',
+                'Lower your left ear towards your left shoulder',
+                'Return to centre, then lower your right ear towards your right shoulder',
+                'Keep your shoulders relaxed and down'
+            ],
+            reps: 3,
+            steps: [
+                { cue: 'Tilt to the left', when: [{ feature: 'headRoll', above: 20 }], hold: 1000 },
+                { cue: 'Back to centre', when: [{ feature: 'headRoll', between: [-8, 8] }] },
+                { cue: 'Tilt to the right', when: [{ feature: 'headRoll', below: -20 }], hold: 1000 },
+                { cue: 'Back to centre', when: [{ feature: 'headRoll', between: [-8, 8] }] }
+            ]
+        },
+        {
+            id: 'chinTucks',
+            name: 'Chin Tucks',
+            icon: '😌',
+            description: 'Draw your head straight back to stretch the neck',
+            instructions: [
+                'Sit tall with your eyes level',
+                'Slide your chin straight back, making a double chin',
+                'Hold for three seconds without tipping your head',
+                'Relax and repeat'
+            ],
+            reps: 5,
+            steps: [
+                { cue: 'Tuck your chin back', when: [{ feature: 'headForward', below: -0.08, relative: true }], hold: 3000 },
+                { cue: 'Relax', when: [{ feature: 'headForward', above: -0.03, relative: true }] }
+            ]
+        },
+        {
+            id: 'shoulderRolls',
+            name: 'Shoulder Rolls',
+            icon: '💪',
+            description: 'Roll your shoulders up, back and down',
+            instructions: [
+                'Let your arms hang loosely',
+                'Lift both shoulders up towards your ears',
+                'Roll them back and let them drop down',
+                'Repeat slowly'
+            ],
+            reps: 5,
+            steps: [
+                { cue: 'Lift your shoulders', when: [{ feature: 'shoulderLift', above: 0.1, relative: true }] },
+                { cue: 'Roll back and down', when: [{ feature: 'shoulderLift', below: 0.03, relative: true }] }
+            ]
+        },
+        {
+            id: 'overheadReach',
+            name: 'Overhead Reach',
+            icon: '🙌',
+            description: 'Stretch both arms up above your head',
+            instructions: [
+                'Interlace your fingers in front of you',
+                'Raise your arms straight up above your head',
+                'Reach towards the ceiling and hold',
+                'Lower your arms slowly'
+            ],
+            reps: 1,
+            steps: [
+                {
+                    cue: 'Reach up and hold',
+                    when: [
+                        { feature: 'wristsAboveHead', above: 0.5 },
+                        { feature: 'elbowExtension', above: 140 }
+                    ],
+                    hold: 15000
+                }
+            ]
+        }
+    ];
+
+    /**
+     * Look up an exercise by id
+     */
+    function get(id) {
+        return exercises.find(exercise => exercise.id === id) || null;
+    }
+
+    /**
+     * The exercise after `id`, wrapping around
+     */
+    function next(id) {
+        const index = exercises.findIndex(exercise => exercise.id === id);
+        return exercises[(index + 1) % exercises.length];
+    }
+
+    return {
+        exercises,
+        get,
+        next
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExerciseLibrary;
+} else {
+    window.ExerciseLibrary = ExerciseLibrary;
+}
@@ -0,0 +1,182 @@
+/**
+ * Frame Rate Governor Module
+ * Decides which camera frames get pose inference. Posture changes over
+ * seconds, so stable posture is sampled slowly and the rate only rises while
+ * the user moves or a poor-posture event is running. The rate also drops on
+ * a low battery, while the page is hidden, and is capped by the measured
+ * inference latency.
+ */
+
+class FrameRateGovernor {
+    constructor(options = {}) {
+        this.config = {
+            profile: 'balanced',
+            profiles: {
+                performance: { idleFps: 15, activeFps: 30 },
+                balanced: { idleFps: 2, activeFps: 10 },
+                batterySaver: { idleFps: 1, activeFps: 4 }
+            },
+            activeHold: 5000,        // ms at the active rate after activity stops
+            lowBatteryLevel: 0.2,    // discharging below this uses batterySaver
+            backgroundFps: 1,        // ceiling while the page is hidden
+            maxBusyFraction: 0.5,    // share of wall time inference may take
+            latencySmoothing: 0.2,   // EMA factor for inference latency
+            frameGapSlack: 1500      // ms of timer clamping and skipped polls on top of the frame interval
+        };
+
+        this.updateConfig(options);
+        this.battery = null;         // { charging, level } once known
+        this.background = false;     // page hidden, monitoring in the background
+        this.reset();
+    }
+
+    /**
+     * Update rates and thresholds
+     * @param {Object} newConfig - Partial configuration
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+
+    /**
+     * Choose a power profile
+     * @param {string} profile - Key of config.profiles
+     */
+    setProfile(profile) {
+        if (this.config.profiles[profile]) {
+            this.config.profile = profile;
+        }
+    }
+
+    /**
+     * Forget frame timing, e.g. when detection restarts
+     */
+    reset() {
+        this.lastProcessed = null;
+        this.activeUntil = null;
+        this.latency = null;
+    }
+
+    /**
+     * Report what the user is doing; either flag raises the rate
+     * @param {Object} activity - { moving, poorPosture }
+     * @param {number} timestamp - Time in ms
+     */
+    reportActivity(activity, timestamp) {
+        if (activity.moving || activity.poorPosture) {
+            this.activeUntil = timestamp + this.config.activeHold;
+        }
+    }
+
+    /**
+     * Record how long one inference took
+     * @param {number} duration - ms
+     */
+    recordLatency(duration) {
+        this.latency = this.latency === null
+            ? duration
+            : this.latency + this.config.latencySmoothing * (duration - this.latency);
+    }
+
+    /**
+     * Battery state from the Battery Status API
+     * @param {Object|null} battery - { charging, level (0..1) }
+     */
+    setBattery(battery) {
+        this.battery = battery ? { charging: battery.charging, level: battery.level } : null;
+    }
+
+    /**
+     * Whether the page is hidden; background monitoring runs at backgroundFps
+     * @param {boolean} background
+     */
+    setBackground(background) {
+        this.background = background;
+    }
+
+    /**
+     * Profile in effect: batterySaver on a low, discharging battery
+     */
+    getEffectiveProfile() {
+        const lowBattery = this.battery && !this.battery.charging &&
+            this.battery.level <= this.config.lowBatteryLevel;
+        return lowBattery ? 'batterySaver' : this.config.profile;
+    }
+
+    /**
+     * Whether the user counts as active at this time
+     */
+    isActive(timestamp) {
+        return this.activeUntil !== null && timestamp < this.activeUntil;
+    }
+
+    /**
+     * Frames per second to run inference at
+     * @param {number} timestamp - Time in ms
+     */
+    getTargetFps(timestamp) {
+        const rates = this.config.profiles[this.getEffectiveProfile()];
+        return this.capFps(this.isActive(timestamp) ? rates.activeFps : rates.idleFps);
+    }
+
+    /**
+     * Apply the background ceiling and the latency cap to a rate
+     * @param {number} fps
+     */
+    capFps(fps) {
+        if (this.background) {
+            fps = Math.min(fps, this.config.backgroundFps);
+        }
+
+        // Slow inference must not occupy the whole machine
+        if (this.latency) {
+            fps = Math.min(fps, 1000 * this.config.maxBusyFraction / this.latency);
+        }
+        return fps;
+    }
+
+    /**
+     * Longest gap between processed frames that is still continuous
+     * sampling at the current rate. Hidden pages clamp timers to a second,
+     * so a frame can arrive up to one poll after the interval has passed.
+     * @returns {number} ms
+     */
+    getMaxFrameGap() {
+        const rates = this.config.profiles[this.getEffectiveProfile()];
+        return 1000 / this.capFps(rates.idleFps) + this.config.frameGapSlack;
+    }
+
+    /**
+     * Whether the frame at `timestamp` should be processed; a frame that
+     * should is counted as processed
+     * @param {number} timestamp - Frame time in ms
+     */
+    shouldProcess(timestamp) {
+        if (this.lastProcessed !== null &&
+            timestamp - this.lastProcessed < 1000 / this.getTargetFps(timestamp)) {
+            return false;
+        }
+        this.lastProcessed = timestamp;
+        return true;
+    }
+
+    /**
+     * Get the governor state for display
+     */
+    getStatus(timestamp) {
+        return {
+            profile: this.config.profile,
+            effectiveProfile: this.getEffectiveProfile(),
+            active: this.isActive(timestamp),
+            background: this.background,
+            targetFps: this.getTargetFps(timestamp),
+            latency: this.latency,
+            battery: this.battery ? { ...this.battery } : null
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameRateGovernor;
+}
@@ -0,0 +1,549 @@
+/**
+ * Frame Sources Module
+ * Where PoseDetection gets its frames from. Every source has:
+ *   kind                  'camera' | 'video' | 'trace'
+ *   onFrame(frame)        async callback set by PoseDetection; a frame is
+ *                         { image } to run the model on, or recorded
+ *                         { landmarks, worldLandmarks, imageSize } that go
+ *                         straight to the posture analysis. Recorded sources
+ *                         add the frame's media `timestamp` in ms
+ *   start() / stop()      begin or halt delivery (stop keeps the position)
+ *   close()               release the source for good
+ * Recorded sources (video, trace) are also seekable:
+ *   play(), pause(), isPaused(), seek(ms), setPlaybackRate(rate),
+ *   getCurrentTime(), getDuration(), an onEnded callback and an onSeek
+ *   callback for when the media time jumps
+ */
+
+// Frame polling interval while the page is hidden (browsers clamp it to ~1 s)
+const HIDDEN_POLL_INTERVAL = 250;
+
+/**
+ * Call `callback` once for the next frame `video` presents, as long as
+ * `isCurrent()` still holds. requestVideoFrameCallback also fires for the
+ * frame shown after seeking while paused; elsewhere the time is polled.
+ * Hidden pages render nothing, so neither frame callbacks nor animation
+ * frames fire there and the time is polled on a timer instead. A video that
+ * is not painted (privacy mode) gets no frame callbacks either and is polled
+ * on animation frames.
+ */
+function onNextVideoFrame(video, isCurrent, callback) {
+    const lastTime = video.currentTime;
+    let done = false;
+
+    const poll = () => {
+        if (done) return;
+        if (!isCurrent()) {
+            finish();
+        } else if (video.currentTime !== lastTime && video.readyState >= 2) {
+            next();
+        } else if (document.hidden) {
+            setTimeout(poll, HIDDEN_POLL_INTERVAL);
+        } else {
+            requestAnimationFrame(poll);
+        }
+    };
+    const onVisibilityChange = () => {
+        if (document.hidden) poll();
+    };
+    const finish = () => {
+        done = true;
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+    const next = () => {
+        if (done) return;
+        finish();
+        if (isCurrent()) callback();
+    };
+
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    const painted = getComputedStyle(video).visibility !== 'hidden';
+    if (!document.hidden && painted && typeof video.requestVideoFrameCallback === 'function') {
+        video.requestVideoFrameCallback(next);
+        // Callbacks stop if the video stops being painted while waiting
+        setTimeout(poll, HIDDEN_POLL_INTERVAL);
+    } else {
+        poll();
+    }
+}
+
+/**
+ * Live webcam. Follows the chosen camera across unplugging: another camera
+ * stands in while it is gone (or frames pause when there is none) and the
+ * chosen one is picked up again when it returns.
+ */
+class CameraFrameSource {
+    /**
+     * @param {HTMLVideoElement} videoElement - Element that shows the feed
+     * @param {Object} options - { deviceId (null for the default camera), width, height }
+     */
+    constructor(videoElement, options = {}) {
+        this.kind = 'camera';
+        this.seekable = false;
+        this.videoElement = videoElement;
+        this.options = { deviceId: null, width: 640, height: 480, ...options };
+
+        this.stream = null;
+        this.activeDeviceId = null;
+        this.running = false;
+        this.recovering = false;
+        this.recoverAgain = false;   // a device change arrived mid-recovery
+        this.generation = 0;         // invalidates frame callbacks of a released stream
+
+        // 'active' on the chosen camera, 'fallback' on another, 'waiting' for any
+        this.status = null;
+
+        this.onFrame = null;
+        this.onStatusChange = null;  // ({ state, deviceId, label })
+        this.handleDeviceChange = () => this.recover();
+    }
+
+    /**
+     * Cameras the browser can see; labels are empty until camera
+     * permission has been granted
+     * @returns {Promise<Array>} [{ deviceId, label }]
+     */
+    static async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map(device => ({ deviceId: device.deviceId, label: device.label }));
+    }
+
+    async start() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Camera access not supported in this browser');
+        }
+
+        this.running = true;
+        navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+
+        try {
+            await this.openStream(this.options.deviceId);
+            this.setStatus('active');
+        } catch (error) {
+            const missing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+            if (!this.options.deviceId || !missing) {
+                this.stop();
+                throw error;
+            }
+
+            // The chosen camera is not connected; use the default until it is
+            console.warn('Selected camera not found, using the default camera');
+            try {
+                await this.openStream(null);
+                this.setStatus('fallback');
+            } catch (fallbackError) {
+                this.stop();
+                throw fallbackError;
+            }
+        }
+    }
+
+    /**
+     * Open a camera and start delivering its frames
+     * @param {string|null} deviceId - Camera to open, null for the default
+     */
+    async openStream(deviceId) {
+        this.releaseStream();
+
+        const video = {
+            width: { ideal: this.options.width },
+            height: { ideal: this.options.height }
+        };
+        if (deviceId) {
+            video.deviceId = { exact: deviceId };
+        }
+        const stream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+        if (!this.running) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+
+        const track = stream.getVideoTracks()[0];
+        this.stream = stream;
+        this.activeDeviceId = (track.getSettings && track.getSettings().deviceId) || deviceId;
+        // Fired when the camera is unplugged
+        track.addEventListener('ended', () => this.recover());
+
+        this.videoElement.srcObject = stream;
+        await this.videoElement.play();
+        this.scheduleFrame();
+    }
+
+    /**
+     * Stop the current stream, if any
+     */
+    releaseStream() {
+        this.generation++;
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+            this.videoElement.srcObject = null;
+        }
+    }
+
+    /**
+     * Re-choose the camera after a device was plugged in or removed
+     */
+    async recover() {
+        if (!this.running) return;
+        if (this.recovering) {
+            this.recoverAgain = true;
+            return;
+        }
+        this.recovering = true;
+
+        try {
+            const devices = await CameraFrameSource.listDevices();
+            const preferred = this.options.deviceId;
+            const preferredPresent = !preferred || devices.some(device => device.deviceId === preferred);
+            const live = this.stream !== null &&
+                this.stream.getVideoTracks().some(track => track.readyState === 'live');
+
+            // Nothing to do while the chosen camera runs, or a stand-in runs
+            // and the chosen one is still away
+            if (live && (this.status === 'active' || !preferredPresent)) return;
+
+            if (devices.length === 0) {
+                this.releaseStream();
+                this.setStatus('waiting');
+                return;
+            }
+
+            await this.openStream(preferredPresent ? preferred : null);
+            this.setStatus(preferredPresent ? 'active' : 'fallback');
+        } catch (error) {
+            console.error('Failed to reopen camera:', error);
+            this.releaseStream();
+            this.setStatus('waiting');
+        } finally {
+            this.recovering = false;
+            if (this.recoverAgain) {
+                this.recoverAgain = false;
+                this.recover();
+            }
+        }
+    }
+
+    setStatus(state) {
+        if (!this.running || state === this.status) return;
+        this.status = state;
+
+        const track = this.stream ? this.stream.getVideoTracks()[0] : null;
+        if (this.onStatusChange) {
+            this.onStatusChange({
+                state: state,
+                deviceId: track ? this.activeDeviceId : null,
+                label: track ? track.label : ''
+            });
+        }
+    }
+
+    scheduleFrame() {
+        const video = this.videoElement;
+        const generation = this.generation;
+        onNextVideoFrame(video, () => this.running && generation === this.generation, () => {
+            Promise.resolve(this.onFrame ? this.onFrame({ image: video }) : null)
+                .then(() => this.scheduleFrame());
+        });
+    }
+
+    stop() {
+        this.running = false;
+        this.status = null;
+        if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+        }
+        this.releaseStream();
+    }
+
+    close() {
+        this.stop();
+        this.onFrame = null;
+        this.onStatusChange = null;
+    }
+}
+
+/**
+ * A local video file, e.g. a recording for an ergonomic assessment
+ */
+class VideoFileFrameSource {
+    /**
+     * @param {HTMLVideoElement} videoElement - Element to play the file in
+     * @param {File|Blob} file - The video
+     */
+    constructor(videoElement, file) {
+        this.kind = 'video';
+        this.seekable = true;
+        this.videoElement = videoElement;
+        this.file = file;
+        this.url = null;
+        this.running = false;
+        this.generation = 0;         // invalidates frame callbacks from before stop()
+        this.playbackRate = 1;
+
+        this.onFrame = null;
+        this.onEnded = null;
+        this.onSeek = null;
+    }
+
+    async start() {
+        const video = this.videoElement;
+        if (!this.url) {
+            this.url = URL.createObjectURL(this.file);
+            video.srcObject = null;
+            video.src = this.url;
+            video.muted = true;
+            video.onended = () => {
+                if (this.onEnded) this.onEnded();
+            };
+            // Also fires when playing again from the end
+            video.onseeking = () => {
+                if (this.onSeek) this.onSeek();
+            };
+            await new Promise((resolve, reject) => {
+                video.onloadedmetadata = resolve;
+                video.onerror = () => reject(new Error(`Cannot play ${this.file.name || 'video file'}`));
+            });
+        }
+
+        video.playbackRate = this.playbackRate;
+        this.running = true;
+        this.scheduleFrame();
+        await video.play();
+    }
+
+    /**
+     * Deliver the next presented frame, then wait for the one after
+     */
+    scheduleFrame() {
+        const video = this.videoElement;
+        const generation = this.generation;
+        onNextVideoFrame(video, () => this.running && generation === this.generation, () => {
+            const frame = { image: video, timestamp: video.currentTime * 1000 };
+            Promise.resolve(this.onFrame ? this.onFrame(frame) : null)
+                .then(() => this.scheduleFrame());
+        });
+    }
+
+    stop() {
+        this.running = false;
+        this.generation++;
+        this.videoElement.pause();
+    }
+
+    close() {
+        this.stop();
+        if (this.url) {
+            this.videoElement.removeAttribute('src');
+            this.videoElement.load();
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+    }
+
+    play() {
+        return this.videoElement.play();
+    }
+
+    pause() {
+        this.videoElement.pause();
+    }
+
+    isPaused() {
+        return this.videoElement.paused;
+    }
+
+    seek(time) {
+        this.videoElement.currentTime = Math.max(0, Math.min(time, this.getDuration())) / 1000;
+    }
+
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        this.videoElement.playbackRate = rate;
+    }
+
+    getCurrentTime() {
+        return this.videoElement.currentTime * 1000;
+    }
+
+    getDuration() {
+        const duration = this.videoElement.duration;
+        return Number.isFinite(duration) ? duration * 1000 : 0;
+    }
+}
+
+/**
+ * A recorded landmark trace, replayed on its own clock without the model
+ */
+class LandmarkTraceSource {
+    /**
+     * @param {Array} frames - LandmarkTrace frames: { timestamp (ms), landmarks, worldLandmarks, imageSize }
+     */
+    constructor(frames) {
+        this.kind = 'trace';
+        this.seekable = true;
+
+        // Times relative to the first frame
+        const sorted = [...frames].sort((a, b) => a.timestamp - b.timestamp);
+        const startTime = sorted.length > 0 ? sorted[0].timestamp : 0;
+        this.frames = sorted.map(frame => ({ ...frame, timestamp: frame.timestamp - startTime }));
+
+        this.running = false;
+        this.paused = false;
+        this.busy = false;
+        this.timer = null;
+        this.playbackRate = 1;
+        this.position = 0;           // ms at clockStart
+        this.clockStart = null;
+        this.nextIndex = 0;
+
+        this.onFrame = null;
+        this.onEnded = null;
+        this.onSeek = null;
+    }
+
+    async start() {
+        this.running = true;
+        this.restartClock();
+        this.schedule();
+    }
+
+    stop() {
+        this.position = this.getCurrentTime();
+        this.running = false;
+        this.cancel();
+    }
+
+    close() {
+        this.stop();
+    }
+
+    play() {
+        if (this.nextIndex >= this.frames.length) {
+            this.seek(0);
+        }
+        this.paused = false;
+        this.restartClock();
+        this.schedule();
+    }
+
+    pause() {
+        this.position = this.getCurrentTime();
+        this.paused = true;
+        this.cancel();
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Jump to a time; while paused the frame there is shown once
+     */
+    seek(time) {
+        this.position = Math.max(0, Math.min(time, this.getDuration()));
+        this.nextIndex = this.frames.findIndex(frame => frame.timestamp >= this.position);
+        if (this.nextIndex === -1) {
+            this.nextIndex = this.frames.length;
+        }
+        this.restartClock();
+        if (this.onSeek) this.onSeek();
+
+        if (!this.running) return;
+        if (this.paused) {
+            const frame = this.frames[Math.min(this.nextIndex, this.frames.length - 1)];
+            if (frame) this.emit(frame);
+        } else {
+            this.cancel();
+            this.schedule();
+        }
+    }
+
+    setPlaybackRate(rate) {
+        this.position = this.getCurrentTime();
+        this.playbackRate = rate;
+        this.restartClock();
+    }
+
+    getCurrentTime() {
+        if (!this.running || this.paused || this.clockStart === null) {
+            return this.position;
+        }
+        const elapsed = (performance.now() - this.clockStart) * this.playbackRate;
+        return Math.min(this.position + elapsed, this.getDuration());
+    }
+
+    getDuration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].timestamp : 0;
+    }
+
+    restartClock() {
+        this.clockStart = performance.now();
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Wake up when the next frame is due
+     */
+    schedule() {
+        if (this.busy || this.timer !== null || !this.running || this.paused) return;
+        if (this.nextIndex >= this.frames.length) return;
+
+        const wait = (this.frames[this.nextIndex].timestamp - this.getCurrentTime()) / this.playbackRate;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.deliver();
+        }, Math.max(0, wait));
+    }
+
+    /**
+     * Emit every frame that is due, in order
+     */
+    async deliver() {
+        this.busy = true;
+        while (this.running && !this.paused && this.nextIndex < this.frames.length &&
+               this.frames[this.nextIndex].timestamp <= this.getCurrentTime()) {
+            await this.emit(this.frames[this.nextIndex++]);
+        }
+        this.busy = false;
+
+        if (this.running && !this.paused && this.nextIndex >= this.frames.length) {
+            this.pause();
+            if (this.onEnded) this.onEnded();
+            return;
+        }
+        this.schedule();
+    }
+
+    emit(frame) {
+        if (!this.onFrame) return Promise.resolve();
+        return this.onFrame({
+            landmarks: frame.landmarks || null,
+            worldLandmarks: frame.worldLandmarks || null,
+            imageSize: frame.imageSize,
+            timestamp: frame.timestamp
+        });
+    }
+}
+
+const FrameSources = {
+    CameraFrameSource,
+    VideoFileFrameSource,
+    LandmarkTraceSource
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameSources;
+} else {
+    window.FrameSources = FrameSources;
+}
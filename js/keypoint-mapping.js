@@ -0,0 +1,85 @@
+/**
+ * Keypoint Mapping Module
+ * Converts each backend's keypoint schema into the 33-landmark BlazePose
+ * layout that PostureAnalysis and the other modules index into
+ */
+
+const KeypointMapping = (() => {
+    const BLAZEPOSE_LANDMARK_COUNT = 33;
+
+    /**
+     * Keypoint schemas by name. `toBlazePose[i]` is the BlazePose index of
+     * the schema's i-th keypoint.
+     */
+    const schemas = {
+        // MediaPipe BlazePose: already in the target layout
+        blazepose33: {
+            keypointCount: 33,
+            toBlazePose: Array.from({ length: 33 }, (_, index) => index)
+        },
+        // COCO-17, used by MoveNet and PoseNet
+        coco17: {
+            keypointCount: 17,
+            names: [
+                'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+                'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+                'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
+                'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+            ],
+            toBlazePose: [0, 2, 5, 7, 8, 11, 12, 13, 14, 15, 16, 23, 24, 25, 26, 27, 28]
+        }
+    };
+
+    /**
+     * Placeholder for landmarks the backend does not detect
+     */
+    function missingLandmark() {
+        return { x: 0, y: 0, z: 0, visibility: 0 };
+    }
+
+    /**
+     * Map keypoints to BlazePose landmarks
+     * @param {Array} keypoints - Backend keypoints; { x, y, z?, score|visibility }
+     * @param {string} schemaName - Key of `schemas`
+     * @param {Object|null} imageSize - { width, height } when keypoints are in
+     *     pixels; null when they are already normalized to 0..1
+     * @returns {Array} 33 landmarks with normalized x/y, visibility and z
+     *     when the backend measures depth; undetected landmarks have visibility 0
+     */
+    function toBlazePose(keypoints, schemaName, imageSize = null) {
+        const schema = schemas[schemaName];
+        if (!schema) {
+            throw new Error(`Unknown keypoint schema: ${schemaName}`);
+        }
+
+        const landmarks = Array.from({ length: BLAZEPOSE_LANDMARK_COUNT }, missingLandmark);
+        keypoints.slice(0, schema.keypointCount).forEach((keypoint, index) => {
+            if (!keypoint) return;
+            const confidence = keypoint.visibility !== undefined ? keypoint.visibility : keypoint.score;
+            const landmark = {
+                x: imageSize ? keypoint.x / imageSize.width : keypoint.x,
+                y: imageSize ? keypoint.y / imageSize.height : keypoint.y,
+                visibility: typeof confidence === 'number' ? confidence : 0
+            };
+            // 2D-only backends have no depth; z-based measures are skipped
+            if (typeof keypoint.z === 'number') {
+                landmark.z = keypoint.z;
+            }
+            landmarks[schema.toBlazePose[index]] = landmark;
+        });
+        return landmarks;
+    }
+
+    return {
+        BLAZEPOSE_LANDMARK_COUNT,
+        schemas,
+        toBlazePose
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeypointMapping;
+} else {
+    self.KeypointMapping = KeypointMapping;
+}
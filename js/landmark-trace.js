@@ -0,0 +1,110 @@
+/**
+ * Landmark Trace Module
+ * A versioned recording of what the pose model saw, for replay in the app
+ * (LandmarkTraceSource) and in the Node harness (scripts/replay-trace.js).
+ *
+ * Format: JSON Lines. The first line is the header:
+ *   { "format": "posture-guardian-trace", "version": 1, "createdAt": ISO date,
+ *     "backend": model name, "analysis": { settings, baseline } }
+ * Every further line is one frame:
+ *   { "timestamp": ms since the recording started,
+ *     "landmarks": [{ x, y, z, visibility }] or null when nobody was found,
+ *     "worldLandmarks": [{ x, y, z, visibility }] or null,
+ *     "imageSize": { width, height } }
+ */
+
+const LandmarkTrace = (() => {
+    const FORMAT = 'posture-guardian-trace';
+    const VERSION = 1;
+
+    // Decimal places kept for landmark coordinates
+    const PRECISION = 5;
+
+    /**
+     * Round a landmark list for storage
+     */
+    function roundLandmarks(landmarks) {
+        if (!landmarks) return null;
+        const round = value => (typeof value === 'number' ? Number(value.toFixed(PRECISION)) : value);
+        return landmarks.map(landmark => ({
+            x: round(landmark.x),
+            y: round(landmark.y),
+            z: round(landmark.z),
+            visibility: round(landmark.visibility)
+        }));
+    }
+
+    /**
+     * Header line for a new trace
+     * @param {Object} meta - { backend, analysis }
+     */
+    function createHeader(meta = {}) {
+        return JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            createdAt: new Date().toISOString(),
+            backend: meta.backend || null,
+            analysis: meta.analysis || null
+        });
+    }
+
+    /**
+     * Frame line
+     * @param {Object} frame - { timestamp, landmarks, worldLandmarks, imageSize }
+     */
+    function serializeFrame(frame) {
+        return JSON.stringify({
+            timestamp: Math.round(frame.timestamp),
+            landmarks: roundLandmarks(frame.landmarks),
+            worldLandmarks: roundLandmarks(frame.worldLandmarks),
+            imageSize: frame.imageSize
+        });
+    }
+
+    /**
+     * Read a trace
+     * @param {string} text - JSON Lines content
+     * @returns {Object} { header, frames }
+     */
+    function parse(text) {
+        const lines = text.split('\n').filter(line => line.trim() !== '');
+        const records = lines.map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid trace line ${index + 1}: ${error.message}`);
+            }
+        });
+
+        const header = records.shift();
+        if (!header || header.format !== FORMAT) {
+            throw new Error('Not a Posture Guardian landmark trace');
+        }
+        if (header.version > VERSION) {
+            throw new Error(`Trace version ${header.version} is newer than supported (${VERSION})`);
+        }
+
+        const frames = records.map(record => ({
+            timestamp: record.timestamp,
+            landmarks: record.landmarks || null,
+            worldLandmarks: record.worldLandmarks || null,
+            imageSize: record.imageSize
+        }));
+        return { header, frames };
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        createHeader,
+        serializeFrame,
+        parse
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LandmarkTrace;
+} else {
+    self.LandmarkTrace = LandmarkTrace;
+}
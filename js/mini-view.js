@@ -0,0 +1,174 @@
+/**
+ * Mini View Module
+ * A small always-on-top Picture-in-Picture window with the posture score,
+ * so the user sees it while working in other windows. Uses Document
+ * Picture-in-Picture where available, otherwise draws the score on a canvas
+ * and shows its stream in a video Picture-in-Picture window.
+ */
+
+class MiniView {
+    constructor() {
+        this.pipWindow = null;       // Document Picture-in-Picture window
+        this.elements = null;        // score/status/message elements in it
+        this.canvas = null;          // video Picture-in-Picture fallback
+        this.video = null;
+        this.state = { score: null, status: null, message: '' };
+
+        this.onClose = null;
+
+        this.colors = {
+            excellent: '#21808d',
+            good: '#21808d',
+            warning: '#e68161',
+            poor: '#c0152f',
+            uncertain: '#626c71',
+            lost: '#626c71'
+        };
+    }
+
+    /**
+     * Whether this browser can show a mini view
+     */
+    static isSupported() {
+        return 'documentPictureInPicture' in window ||
+            (document.pictureInPictureEnabled && typeof HTMLCanvasElement.prototype.captureStream === 'function');
+    }
+
+    /**
+     * Open the window; must be called from a user gesture
+     */
+    async open() {
+        if (this.isOpen()) return;
+
+        if ('documentPictureInPicture' in window) {
+            await this.openDocumentWindow();
+        } else {
+            await this.openVideoWindow();
+        }
+        this.render();
+    }
+
+    async openDocumentWindow() {
+        const pipWindow = await window.documentPictureInPicture.requestWindow({ width: 240, height: 140 });
+        const doc = pipWindow.document;
+
+        const style = doc.createElement('style');
+        style.textContent = `
+            body { margin: 0; height: 100vh; display: flex; flex-direction: column; align-items: center;
+                   justify-content: center; font-family: system-ui, sans-serif; background: #fcfcf9; color: #13343b; }
+            .mini-score { font-size: 48px; font-weight: 600; line-height: 1; }
+            .mini-status { font-size: 14px; text-transform: capitalize; margin-top: 4px; }
+            .mini-message { font-size: 12px; margin-top: 6px; padding: 0 8px; text-align: center; }
+        `;
+        doc.head.appendChild(style);
+
+        this.elements = {
+            score: doc.createElement('div'),
+            status: doc.createElement('div'),
+            message: doc.createElement('div')
+        };
+        this.elements.score.className = 'mini-score';
+        this.elements.status.className = 'mini-status';
+        this.elements.message.className = 'mini-message';
+        Object.values(this.elements).forEach(element => doc.body.appendChild(element));
+
+        pipWindow.addEventListener('pagehide', () => this.handleClosed());
+        this.pipWindow = pipWindow;
+    }
+
+    async openVideoWindow() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 320;
+        this.canvas.height = 180;
+        this.render();
+
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.srcObject = this.canvas.captureStream();
+        this.video.addEventListener('leavepictureinpicture', () => this.handleClosed());
+        try {
+            await this.video.play();
+            await this.video.requestPictureInPicture();
+        } catch (error) {
+            this.handleClosed();
+            throw error;
+        }
+    }
+
+    /**
+     * Close the window
+     */
+    close() {
+        if (this.pipWindow) {
+            this.pipWindow.close();
+        } else if (this.video && document.pictureInPictureElement === this.video) {
+            document.exitPictureInPicture();
+        } else {
+            this.handleClosed();
+        }
+    }
+
+    handleClosed() {
+        if (this.video) {
+            this.video.srcObject.getTracks().forEach(track => track.stop());
+        }
+        this.pipWindow = null;
+        this.elements = null;
+        this.canvas = null;
+        this.video = null;
+
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    isOpen() {
+        return this.pipWindow !== null || this.video !== null;
+    }
+
+    /**
+     * Show new values; missing keys are left alone
+     * @param {Object} state - { score, status, message }
+     */
+    update(state) {
+        this.state = { ...this.state, ...state };
+        if (this.isOpen()) {
+            this.render();
+        }
+    }
+
+    render() {
+        const { score, status, message } = this.state;
+        const scoreText = typeof score === 'number' ? String(Math.round(score)) : '--';
+        const color = this.colors[status] || '#13343b';
+
+        if (this.elements) {
+            this.elements.score.textContent = scoreText;
+            this.elements.score.style.color = color;
+            this.elements.status.textContent = status || 'Waiting';
+            this.elements.message.textContent = message;
+            return;
+        }
+
+        if (this.canvas) {
+            const ctx = this.canvas.getContext('2d');
+            const { width, height } = this.canvas;
+            ctx.fillStyle = '#fcfcf9';
+            ctx.fillRect(0, 0, width, height);
+            ctx.textAlign = 'center';
+
+            ctx.fillStyle = color;
+            ctx.font = '600 72px system-ui, sans-serif';
+            ctx.fillText(scoreText, width / 2, 90);
+
+            ctx.fillStyle = '#13343b';
+            ctx.font = '20px system-ui, sans-serif';
+            ctx.fillText(status || 'Waiting', width / 2, 125);
+            ctx.font = '16px system-ui, sans-serif';
+            ctx.fillText(message, width / 2, 155, width - 16);
+        }
+    }
+}
+
+// Export for use in other modules
+window.MiniView = MiniView;
@@ -0,0 +1,287 @@
+/**
+ * Pose Backends Module
+ * Interchangeable pose-estimation backends behind one interface:
+ *   keypointSchema               schema name in KeypointMapping
+ *   initialize()                 load the model
+ *   estimate(image, timestamp)   { landmarks, worldLandmarks, segmentationMask },
+ *                                landmarks null when nobody is found
+ *   setOptions(options)          apply detection options the backend supports
+ *   close()                      release the model
+ * Landmarks always come back in the BlazePose layout (see keypoint-mapping.js).
+ * Model files and libraries are served from `assetBaseUrl` (vendor/ by default,
+ * filled by scripts/fetch-vendor-assets.sh) so detection works offline. When
+ * vendor/ has not been fetched they come from the CDN instead.
+ */
+
+const EMPTY_POSE_RESULT = { landmarks: null, worldLandmarks: null, segmentationMask: null };
+const DEFAULT_ASSET_BASE_URL = 'vendor/';
+
+/**
+ * MediaPipe BlazePose: 33 landmarks with depth, world landmarks and an
+ * optional segmentation mask
+ */
+class MediaPipePoseBackend {
+    constructor(options = {}) {
+        this.name = 'mediapipe';
+        this.keypointSchema = 'blazepose33';
+        this.assetBaseUrl = options.assetBaseUrl || DEFAULT_ASSET_BASE_URL;
+        this.locateFile = options.locateFile || null;
+
+        this.options = {
+            modelComplexity: 1,
+            smoothLandmarks: true,
+            enableSegmentation: false,
+            smoothSegmentation: true,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        };
+        this.setOptions(options);
+
+        this.pose = null;
+        this.latestResults = null;
+    }
+
+    async initialize() {
+        if (!this.locateFile) {
+            const base = await PoseBackends.hasVendorAsset(this.assetBaseUrl, 'mediapipe/pose/pose.js')
+                ? `${this.assetBaseUrl}mediapipe/pose/`
+                : PoseBackends.cdnAssets['mediapipe/pose/'];
+            this.locateFile = (file) => `${base}${file}`;
+        }
+
+        // index.html loads pose.js on the page; the pose worker loads it here
+        if (typeof Pose === 'undefined') {
+            await PoseBackends.loadScript(this.locateFile('pose.js'));
+        }
+
+        this.pose = new Pose({ locateFile: this.locateFile });
+        this.pose.setOptions(this.options);
+
+        // send() resolves after onResults has run for that frame
+        this.pose.onResults((results) => {
+            this.latestResults = results;
+        });
+        await this.pose.initialize();
+        console.log('MediaPipe pose backend initialized');
+    }
+
+    async estimate(image) {
+        this.latestResults = null;
+        await this.pose.send({ image });
+
+        const results = this.latestResults;
+        if (!results || !results.poseLandmarks) {
+            return { ...EMPTY_POSE_RESULT };
+        }
+        return {
+            landmarks: KeypointMapping.toBlazePose(results.poseLandmarks, this.keypointSchema),
+            worldLandmarks: results.poseWorldLandmarks || null,
+            segmentationMask: results.segmentationMask || null
+        };
+    }
+
+    setOptions(options) {
+        Object.keys(this.options).forEach(key => {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        });
+        if (this.pose) {
+            this.pose.setOptions(this.options);
+        }
+    }
+
+    close() {
+        if (this.pose) {
+            this.pose.close();
+            this.pose = null;
+        }
+    }
+}
+
+/**
+ * TF.js MoveNet (Lightning or Thunder): 17 COCO keypoints in pixels, no
+ * depth. Lightning is the light option for slow machines.
+ */
+class MoveNetPoseBackend {
+    constructor(options = {}) {
+        this.variant = options.variant === 'thunder' ? 'thunder' : 'lightning';
+        this.name = `movenet-${this.variant}`;
+        this.keypointSchema = 'coco17';
+
+        this.assetBaseUrl = options.assetBaseUrl || DEFAULT_ASSET_BASE_URL;
+        this.scripts = options.scripts || null;
+        this.modelUrl = options.modelUrl || null;
+        this.minPoseScore = 0.25;
+        this.setOptions(options);
+
+        this.detector = null;
+    }
+
+    async initialize() {
+        const base = this.assetBaseUrl;
+        if (!this.scripts) {
+            const local = await PoseBackends.hasVendorAsset(base, MoveNetPoseBackend.scriptPaths[0]);
+            this.scripts = MoveNetPoseBackend.scriptPaths.map(path => (local ? base + path : PoseBackends.cdnAssets[path]));
+        }
+        if (!this.modelUrl) {
+            // Without a modelUrl pose-detection downloads the model from TF Hub
+            const modelPath = `movenet/${this.variant}/model.json`;
+            this.modelUrl = await PoseBackends.hasVendorAsset(base, modelPath) ? base + modelPath : undefined;
+        }
+
+        // TF.js is only downloaded when a MoveNet backend is chosen
+        for (const src of this.scripts) {
+            await PoseBackends.loadScript(src);
+        }
+        await tf.ready();
+
+        const modelType = this.variant === 'thunder'
+            ? poseDetection.movenet.modelType.SINGLEPOSE_THUNDER
+            : poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING;
+        this.detector = await poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+            modelType: modelType,
+            modelUrl: this.modelUrl,
+            enableSmoothing: true
+        });
+        console.log(`MoveNet ${this.variant} pose backend initialized`);
+    }
+
+    async estimate(image) {
+        const poses = await this.detector.estimatePoses(image);
+        const pose = poses[0];
+        if (!pose || (typeof pose.score === 'number' && pose.score < this.minPoseScore)) {
+            return { ...EMPTY_POSE_RESULT };
+        }
+
+        const imageSize = {
+            width: image.videoWidth || image.width,
+            height: image.videoHeight || image.height
+        };
+        return {
+            landmarks: KeypointMapping.toBlazePose(pose.keypoints, this.keypointSchema, imageSize),
+            worldLandmarks: null,
+            segmentationMask: null
+        };
+    }
+
+    setOptions(options) {
+        if (typeof options.minDetectionConfidence === 'number') {
+            // MoveNet pose scores run lower than MediaPipe's detection confidence
+            this.minPoseScore = options.minDetectionConfidence / 2;
+        }
+    }
+
+    close() {
+        if (this.detector) {
+            this.detector.dispose();
+            this.detector = null;
+        }
+    }
+}
+
+// Relative to assetBaseUrl, in load order
+MoveNetPoseBackend.scriptPaths = [
+    'tfjs/tf-core.min.js',
+    'tfjs/tf-converter.min.js',
+    'tfjs/tf-backend-webgl.min.js',
+    'tfjs/pose-detection.min.js'
+];
+
+const PoseBackends = {
+    // Selectable backends, in the order shown in settings
+    available: {
+        'mediapipe': { label: 'MediaPipe BlazePose', create: (options) => new MediaPipePoseBackend(options) },
+        'movenet-lightning': {
+            label: 'MoveNet Lightning (fastest)',
+            create: (options) => new MoveNetPoseBackend({ ...options, variant: 'lightning' })
+        },
+        'movenet-thunder': {
+            label: 'MoveNet Thunder (most accurate)',
+            create: (options) => new MoveNetPoseBackend({ ...options, variant: 'thunder' })
+        }
+    },
+
+    /**
+     * Create a backend by name, falling back to MediaPipe
+     */
+    create(name, options = {}) {
+        const entry = PoseBackends.available[name] || PoseBackends.available.mediapipe;
+        return entry.create(options);
+    },
+
+    // jsDelivr copies of the vendor/ files, by path under assetBaseUrl; keep
+    // the versions in step with scripts/fetch-vendor-assets.sh
+    cdnAssets: {
+        'mediapipe/pose/': 'https://cdn.jsdelivr.net/npm/@mediapipe/pose@0.5.1675469404/',
+        'tfjs/tf-core.min.js': 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-core@4.22.0/dist/tf-core.min.js',
+        'tfjs/tf-converter.min.js': 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-converter@4.22.0/dist/tf-converter.min.js',
+        'tfjs/tf-backend-webgl.min.js':
+            'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgl@4.22.0/dist/tf-backend-webgl.min.js',
+        'tfjs/pose-detection.min.js':
+            'https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection@2.1.3/dist/pose-detection.min.js'
+    },
+
+    // Vendor file checks by URL, so each file is requested once
+    vendorChecks: new Map(),
+
+    /**
+     * Whether a vendor/ file is served. A GET (not HEAD) so the service
+     * worker can answer it from its cache when offline.
+     */
+    hasVendorAsset(assetBaseUrl, path) {
+        const url = assetBaseUrl + path;
+        if (!PoseBackends.vendorChecks.has(url)) {
+            const check = fetch(url)
+                .then(response => response.ok)
+                .catch(() => false)
+                .then(found => {
+                    if (!found) {
+                        console.warn(`${url} not found, loading from the CDN (run scripts/fetch-vendor-assets.sh to self-host)`);
+                    }
+                    return found;
+                });
+            PoseBackends.vendorChecks.set(url, check);
+        }
+        return PoseBackends.vendorChecks.get(url);
+    },
+
+    // Scripts already imported into the worker scope
+    importedScripts: new Set(),
+
+    /**
+     * Load a classic script once (with importScripts inside a worker)
+     */
+    loadScript(src) {
+        if (typeof document === 'undefined') {
+            if (!PoseBackends.importedScripts.has(src)) {
+                importScripts(src);
+                PoseBackends.importedScripts.add(src);
+            }
+            return Promise.resolve();
+        }
+
+        const existing = document.querySelector(`script[src="${src}"]`);
+        if (existing && existing.dataset.loaded) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const script = existing || document.createElement('script');
+            script.addEventListener('load', () => {
+                script.dataset.loaded = 'true';
+                resolve();
+            });
+            script.addEventListener('error', () => reject(new Error(`Failed to load ${src}`)));
+            if (!existing) {
+                // CORS responses can be cached by the service worker
+                script.crossOrigin = 'anonymous';
+                script.src = src;
+                document.head.appendChild(script);
+            }
+        });
+    }
+};
+
+// Export for use in other modules
+self.PoseBackends = PoseBackends;
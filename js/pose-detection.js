@@ -1,109 +1,641 @@
-class PoseDetection {
+/**
+ * Pose Detection Module
+ * Takes frames from a frame source (live camera, video file or recorded
+ * landmark trace, see frame-sources.js) and runs the pose pipeline (backend, overlay and
+ * posture analysis, see pose-pipeline.js) in a Web Worker drawing on an
+ * OffscreenCanvas, or on the main thread where that is not supported.
+ * A FrameRateGovernor picks which video frames go through the model.
+ *
+ * In privacy mode the video element is hidden and the overlay draws an
+ * avatar instead. Frames are only ever handed to the model: no frame or
+ * mask pixels are kept, returned in results or written to recordings
+ * (landmark traces hold landmarks only).
+ *
+ * PoseDetection is an EventTarget. Listeners get CustomEvents:
+ *   'frame'    detail: PoseFrame for every processed frame
+ *   'error'    detail: Error from frame processing or a backend switch
+ *   'started'  detection started
+ *   'stopped'  detection stopped
+ *   'lost'     detail: { timestamp }; the person left the frame after
+ *              being detected
+ *   'reset'    the frame clock jumped (seek or new source); anything timed
+ *              by frame timestamps starts over
+ * Errors of awaited calls (initialize, startDetection) reject the call
+ * instead of being dispatched.
+ */
+
+/**
+ * @typedef {Object} Landmark
+ * @property {number} x - Horizontal position, 0..1 of the image width
+ * @property {number} y - Vertical position, 0..1 of the image height
+ * @property {number} z - Depth relative to the hips, same scale as x
+ * @property {number} visibility - Confidence that the point is visible, 0..1
+ */
+
+/**
+ * @typedef {Object} ImageSize
+ * @property {number} width - Pixels
+ * @property {number} height - Pixels
+ */
+
+/**
+ * @typedef {Object} PoseFrame
+ * @property {Landmark[]|null} landmarks - 33 BlazePose-layout landmarks, null when nobody was found
+ * @property {Landmark[]|null} worldLandmarks - Metric 3D landmarks (x, y, z in metres), when the backend has them
+ * @property {ImageBitmap|Object|null} segmentationMask - Person mask, when segmentation is enabled; null in privacy mode
+ * @property {string} backend - Model that produced the frame, 'trace' for recorded landmarks
+ * @property {ImageSize} imageSize - Size of the analysed image
+ * @property {number} timestamp - Frame time in ms: media time for recorded sources, performance.now() for the camera
+ * @property {Object|null} analysis - PostureAnalysis.analyzePose() result, null without landmarks
+ */
+
+class PoseDetection extends EventTarget {
     constructor() {
-        this.pose = null;
-        this.camera = null;
+        super();
+
+        this.pipeline = null;           // main-thread fallback
+        this.worker = null;
+        this.source = null;
         this.isInitialized = false;
-        this.isRunning = false;
+        this.isDetecting = false;
 
         this.videoElement = null;
         this.canvasElement = null;
-        this.canvasContext = null;
+        this.canvasTransferred = false;
+
+        // Whether the last frame had a person, for 'lost'
+        this.hadPose = false;
+
+        // Worker requests awaiting a reply, by id
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+
+        // Settings and baseline for the analysis, replayed when the pipeline starts
+        this.analysisState = {};
+
+        this.frameGovernor = new FrameRateGovernor();
+        this.battery = null;
 
-        this.onResultsCallback = null;
-        this.onErrorCallback = null;
+        // Landmark trace being recorded: { startTime, lines }
+        this.recording = null;
 
-        // Default configuration
+        // Backend choice and detection options (backends use what they support)
         this.config = {
+            backend: 'mediapipe',
+            assetBaseUrl: 'vendor/',   // self-hosted models and libraries
+            locateFile: null,          // optional MediaPipe file resolver override (main thread only)
+            useWorker: true,
+            workerUrl: 'js/pose-worker.js',
+            powerProfile: 'balanced',  // FrameRateGovernor profile
+            privacyMode: false,        // hide the video, draw an avatar
             modelComplexity: 1,
             smoothLandmarks: true,
             enableSegmentation: false,
+            smoothSegmentation: true,
             minDetectionConfidence: 0.5,
             minTrackingConfidence: 0.5
         };
     }
 
-    async initialize(videoElement, canvasElement, onResults, onError) {
-        this.videoElement = videoElement;
-        this.canvasElement = canvasElement;
-        this.onResultsCallback = onResults;
-        this.onErrorCallback = onError;
-        
-        this.canvasContext = this.canvasElement.getContext('2d');
+    /**
+     * Whether frames can be processed in a worker drawing on an OffscreenCanvas
+     * @param {HTMLCanvasElement} canvasElement - Overlay canvas
+     */
+    static supportsWorker(canvasElement) {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function' &&
+            typeof canvasElement.transferControlToOffscreen === 'function';
+    }
 
+    /**
+     * Initialize pose detection with the configured backend
+     * @param {HTMLVideoElement} videoElement - Video element for the camera feed or video file
+     * @param {HTMLCanvasElement} canvasElement - Canvas element for drawing overlay
+     */
+    async initialize(videoElement, canvasElement) {
         try {
-            this.pose = new Pose({
-                locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`
-            });
+            this.videoElement = videoElement;
+            if (!this.canvasTransferred) {
+                this.canvasElement = canvasElement;
+            }
+            this.applyPrivacyMode();
 
-            this.pose.setOptions(this.config);
-            this.pose.onResults((results) => this.processResults(results));
-
-            this.camera = new Camera(this.videoElement, {
-                onFrame: async () => {
-                    if (this.isRunning) {
-                        await this.pose.send({ image: this.videoElement });
-                    }
-                },
-                width: 640,
-                height: 480
-            });
+            // Load the pose model
+            await this.initializePipeline();
+            await this.initializeBatteryMonitor();
+
+            // Live camera unless another source was chosen
+            if (!this.source) {
+                await this.setSource(new FrameSources.CameraFrameSource(videoElement));
+            }
 
             this.isInitialized = true;
-            console.log('PoseDetection initialized');
+            console.log('Pose detection initialized successfully');
+
+        } catch (error) {
+            console.error('Failed to initialize pose detection:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load the configured backend in the worker, falling back to the main
+     * thread when the worker is unsupported or fails to start
+     */
+    async initializePipeline() {
+        if (this.worker) {
+            await this.callWorker('init', { config: this.getWorkerConfig() });
+            return;
+        }
+
+        const useWorker = this.config.useWorker && !this.config.locateFile &&
+            PoseDetection.supportsWorker(this.canvasElement);
+        if (!this.pipeline && useWorker) {
+            try {
+                await this.startWorker();
+                return;
+            } catch (error) {
+                console.warn('Pose worker unavailable, running on the main thread:', error);
+                this.stopWorker();
+            }
+        }
+
+        if (!this.pipeline) {
+            this.pipeline = new PosePipeline(this.canvasElement, this.config);
+            this.pipeline.configureAnalysis(this.analysisState);
+        }
+        await this.pipeline.initialize(this.config);
+    }
+
+    /**
+     * Start the pose worker and hand it the overlay canvas
+     */
+    async startWorker() {
+        this.worker = new Worker(this.config.workerUrl);
+        this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.rejectPendingRequests(new Error(event.message || 'Pose worker failed'));
+        };
+
+        const canvas = this.canvasElement.transferControlToOffscreen();
+        this.canvasTransferred = true;
+        await this.callWorker('init', { config: this.getWorkerConfig(), canvas }, [canvas]);
+        await this.callWorker('analysis', { state: this.analysisState });
+
+        console.log('Pose detection running in a worker');
+    }
+
+    /**
+     * Terminate the pose worker; its OffscreenCanvas goes with it, so the
+     * page gets a fresh overlay canvas
+     */
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectPendingRequests(new Error('Pose worker stopped'));
+
+        if (this.canvasTransferred) {
+            const canvas = this.canvasElement.cloneNode(false);
+            this.canvasElement.replaceWith(canvas);
+            this.canvasElement = canvas;
+            this.canvasTransferred = false;
+        }
+    }
+
+    /**
+     * Configuration as sent to the worker. Functions cannot be posted, and
+     * relative URLs would resolve against the worker script, so the asset
+     * base is made absolute.
+     */
+    getWorkerConfig() {
+        const { locateFile, ...config } = this.config;
+        return { ...config, assetBaseUrl: new URL(config.assetBaseUrl, document.baseURI).href };
+    }
+
+    /**
+     * Send a request to the worker
+     * @param {string} type - Message type (see pose-worker.js)
+     * @param {Object} payload - Message fields
+     * @param {Array} transfer - Transferable objects
+     * @returns {Promise} Resolves with the worker's result
+     */
+    callWorker(type, payload = {}, transfer = []) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pendingRequests.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, ...payload }, transfer);
+        });
+    }
+
+    /**
+     * Settle the request a worker reply belongs to
+     */
+    handleWorkerMessage(message) {
+        const request = this.pendingRequests.get(message.id);
+        if (!request) return;
+        this.pendingRequests.delete(message.id);
+
+        if (message.type === 'error') {
+            const error = new Error(message.error.message);
+            error.name = message.error.name;
+            request.reject(error);
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * Fail every outstanding worker request
+     */
+    rejectPendingRequests(error) {
+        this.pendingRequests.forEach(request => request.reject(error));
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * Follow the battery through the Battery Status API where available
+     */
+    async initializeBatteryMonitor() {
+        if (this.battery || !navigator.getBattery) return;
+
+        try {
+            this.battery = await navigator.getBattery();
+            const update = () => this.frameGovernor.setBattery({
+                charging: this.battery.charging,
+                level: this.battery.level
+            });
+            this.battery.addEventListener('chargingchange', update);
+            this.battery.addEventListener('levelchange', update);
+            update();
         } catch (error) {
-            console.error('Failed to initialize PoseDetection:', error);
-            if (this.onErrorCallback) {
-                this.onErrorCallback(error);
+            console.warn('Battery status unavailable:', error);
+        }
+    }
+
+    /**
+     * Switch the frame source; the previous one is closed. Takes effect
+     * immediately while detecting.
+     * @param {Object} source - A source from FrameSources
+     */
+    async setSource(source) {
+        if (this.source) {
+            this.source.close();
+        }
+
+        this.source = source;
+        source.onFrame = (frame) => this.handleSourceFrame(frame);
+        source.onSeek = () => this.resetAnalysis();
+        this.frameGovernor.reset();
+        // Smoothing and sustain times from the old source's clock do not carry over
+        this.resetAnalysis();
+
+        if (this.isDetecting) {
+            await source.start();
+        }
+        console.log(`Frame source: ${source.kind}`);
+    }
+
+    /**
+     * Get the current frame source
+     */
+    getSource() {
+        return this.source;
+    }
+
+    /**
+     * Decide whether a source frame is processed. Recorded landmarks skip
+     * the model, so every one of them is analysed.
+     */
+    async handleSourceFrame(frame) {
+        if (!this.isDetecting || !(this.worker || this.pipeline)) return;
+
+        if (frame.landmarks !== undefined) {
+            await this.processLandmarks(frame);
+        } else if (this.frameGovernor.shouldProcess(performance.now())) {
+            await this.processFrame(frame.image, frame.timestamp);
+        }
+    }
+
+    /**
+     * Run the model on a video frame. In the worker the frame travels as an
+     * ImageBitmap, which the worker closes.
+     * @param {HTMLVideoElement} image - Element showing the frame
+     * @param {number} [mediaTime] - Position of the frame in a recording (ms)
+     */
+    async processFrame(image, mediaTime) {
+        try {
+            const startTime = performance.now();
+            const timestamp = typeof mediaTime === 'number' ? mediaTime : startTime;
+            let results;
+            if (this.worker) {
+                const frame = await createImageBitmap(image);
+                results = await this.callWorker('frame', { frame, timestamp }, [frame]);
+            } else {
+                results = await this.pipeline.process(image, timestamp);
             }
+            this.frameGovernor.recordLatency(performance.now() - startTime);
+            this.handlePoseResults(results);
+        } catch (error) {
+            console.error('Pose estimation failed:', error);
+            this.emitError(error);
+        }
+    }
+
+    /**
+     * Analyse recorded landmarks without running the model, at their
+     * recorded time so a replay scores like scripts/replay-trace.js
+     * @param {Object} frame - { landmarks, worldLandmarks, imageSize, timestamp }
+     */
+    async processLandmarks(frame) {
+        try {
+            const timestamp = typeof frame.timestamp === 'number' ? frame.timestamp : performance.now();
+            const results = this.worker
+                ? await this.callWorker('landmarks', { frame, timestamp })
+                : this.pipeline.processLandmarks(frame, timestamp);
+            this.handlePoseResults(results);
+        } catch (error) {
+            console.error('Landmark analysis failed:', error);
+            this.emitError(error);
         }
     }
 
+    /**
+     * Start pose detection
+     */
     async startDetection() {
         if (!this.isInitialized) {
-            console.error('Cannot start, not initialized.');
-            return;
+            throw new Error('Pose detection not initialized');
         }
-        if (this.isRunning) return;
 
         try {
-            await this.camera.start();
-            this.isRunning = true;
-            console.log('Pose detection started.');
+            this.isDetecting = true;
+            this.hadPose = false;
+            this.frameGovernor.reset();
+            await this.source.start();
+            console.log('Pose detection started');
+            this.dispatchEvent(new CustomEvent('started'));
+
         } catch (error) {
-            console.error('Error starting camera:', error);
-            if (this.onErrorCallback) {
-                this.onErrorCallback(error);
+            console.error('Failed to start pose detection:', error);
+            this.isDetecting = false;
+            throw error;
+        }
+    }
+
+    /**
+     * Stop pose detection
+     */
+    async stopDetection() {
+        const wasDetecting = this.isDetecting;
+        try {
+            this.isDetecting = false;
+            if (this.source) {
+                this.source.stop();
+            }
+
+            // Clear canvas
+            if (this.worker) {
+                await this.callWorker('clear');
+            } else if (this.pipeline) {
+                this.pipeline.clear();
             }
+
+            console.log('Pose detection stopped');
+
+        } catch (error) {
+            console.error('Error stopping pose detection:', error);
+        }
+
+        if (wasDetecting) {
+            this.dispatchEvent(new CustomEvent('stopped'));
         }
     }
 
-    stopDetection() {
-        if (!this.isRunning) return;
-        this.camera.stop();
-        this.isRunning = false;
-        console.log('Pose detection stopped.');
+    /**
+     * Report an error to 'error' listeners
+     * @param {Error} error - The failure
+     */
+    emitError(error) {
+        this.dispatchEvent(new CustomEvent('error', { detail: error }));
     }
 
-    processResults(results) {
-        this.canvasContext.save();
-        this.canvasContext.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
-        
-        if (results.poseLandmarks) {
-            drawConnectors(this.canvasContext, results.poseLandmarks, POSE_CONNECTIONS, { color: '#00FF00', lineWidth: 4 });
-            drawLandmarks(this.canvasContext, results.poseLandmarks, { color: '#FF0000', radius: 5 });
+    /**
+     * Handle pose detection results
+     * @param {PoseFrame|null} results - Pipeline frame result
+     */
+    handlePoseResults(results) {
+        if (!results || !this.isDetecting) return;
+
+        if (this.recording) {
+            this.recordFrame(results);
+        }
+
+        this.dispatchEvent(new CustomEvent('frame', { detail: results }));
+
+        const hasPose = Boolean(results.landmarks);
+        if (this.hadPose && !hasPose) {
+            this.dispatchEvent(new CustomEvent('lost', { detail: { timestamp: results.timestamp } }));
         }
-        
-        this.canvasContext.restore();
+        this.hadPose = hasPose;
+    }
+
+    /**
+     * Start recording processed frames as a landmark trace. The header keeps
+     * the analysis settings and baseline so a replay scores the same way.
+     */
+    startRecording() {
+        this.recording = {
+            startTime: null,
+            lines: [LandmarkTrace.createHeader({ backend: this.config.backend, analysis: this.analysisState })]
+        };
+        console.log('Landmark recording started');
+    }
+
+    /**
+     * Stop recording
+     * @returns {string|null} The trace as JSON Lines, null if not recording
+     */
+    stopRecording() {
+        if (!this.recording) return null;
+
+        const trace = this.recording.lines.join('\n') + '\n';
+        console.log(`Landmark recording stopped (${this.recording.lines.length - 1} frames)`);
+        this.recording = null;
+        return trace;
+    }
+
+    /**
+     * Check if a landmark trace is being recorded
+     */
+    isRecording() {
+        return this.recording !== null;
+    }
 
-        if (this.onResultsCallback) {
-            this.onResultsCallback(results);
+    /**
+     * Append one frame result to the recording
+     */
+    recordFrame(results) {
+        if (this.recording.startTime === null) {
+            this.recording.startTime = results.timestamp;
         }
+        this.recording.lines.push(LandmarkTrace.serializeFrame({
+            timestamp: results.timestamp - this.recording.startTime,
+            landmarks: results.landmarks,
+            worldLandmarks: results.worldLandmarks,
+            imageSize: results.imageSize
+        }));
     }
 
-    updateConfiguration(newConfig) {
+    /**
+     * Update configuration; a different backend is loaded in place
+     * @param {Object} newConfig - New configuration options
+     */
+    async updateConfiguration(newConfig) {
         this.config = { ...this.config, ...newConfig };
-        if (this.pose) {
-            this.pose.setOptions(this.config);
+        this.frameGovernor.setProfile(this.config.powerProfile);
+        this.applyPrivacyMode();
+
+        try {
+            if (this.worker) {
+                await this.callWorker('configure', { config: this.getWorkerConfig() });
+            } else if (this.pipeline) {
+                await this.pipeline.configure(this.config);
+            }
+        } catch (error) {
+            console.error('Failed to update pose configuration:', error);
+            this.emitError(error);
+        }
+    }
+
+    /**
+     * Show or hide the video element; the overlay covers it in privacy mode
+     */
+    applyPrivacyMode() {
+        if (this.videoElement) {
+            this.videoElement.classList.toggle('privacy-hidden', Boolean(this.config.privacyMode));
+        }
+    }
+
+    /**
+     * Pass the app's settings and calibrated baseline to the posture analysis
+     * @param {Object} state - { settings, baseline }; missing keys are left alone
+     */
+    updateAnalysis(state) {
+        this.analysisState = { ...this.analysisState, ...state };
+
+        if (this.worker) {
+            this.callWorker('analysis', { state }).catch(error => {
+                console.error('Failed to update pose worker analysis:', error);
+            });
+        } else if (this.pipeline) {
+            this.pipeline.configureAnalysis(state);
+        }
+    }
+
+    /**
+     * Forget the analysis' smoothing and sustain state, e.g. after a seek,
+     * and tell listeners to restart their own tracking
+     */
+    resetAnalysis() {
+        if (this.worker) {
+            this.callWorker('reset').catch(error => {
+                console.error('Failed to reset pose worker analysis:', error);
+            });
+        } else if (this.pipeline) {
+            this.pipeline.resetAnalysis();
+        }
+        this.dispatchEvent(new CustomEvent('reset'));
+    }
+
+    /**
+     * Tell the frame-rate governor what the user is doing
+     * @param {Object} activity - { moving, poorPosture }
+     */
+    reportActivity(activity) {
+        this.frameGovernor.reportActivity(activity, performance.now());
+    }
+
+    /**
+     * Keep detecting while the page is hidden, at the governor's background rate
+     * @param {boolean} background - Whether the page is hidden
+     */
+    setBackground(background) {
+        this.frameGovernor.setBackground(background);
+    }
+
+    /**
+     * Longest gap between frames that still counts as continuous monitoring
+     * at the governor's current rate, in ms
+     */
+    getMaxFrameGap() {
+        return this.frameGovernor.getMaxFrameGap();
+    }
+
+    /**
+     * Get the frame-rate governor state (target fps, latency, battery)
+     */
+    getFrameRateStatus() {
+        return this.frameGovernor.getStatus(performance.now());
+    }
+
+    /**
+     * Get current configuration
+     */
+    getConfig() {
+        return { ...this.config };
+    }
+
+    /**
+     * Check if pose detection is running
+     */
+    isRunning() {
+        return this.isDetecting;
+    }
+
+    /**
+     * Check if pose detection is initialized
+     */
+    isReady() {
+        return this.isInitialized;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        try {
+            this.stopDetection();
+
+            if (this.source) {
+                this.source.close();
+                this.source = null;
+            }
+
+            if (this.pipeline) {
+                this.pipeline.close();
+                this.pipeline = null;
+            }
+            this.stopWorker();
+
+            // Clear video stream
+            if (this.videoElement && this.videoElement.srcObject) {
+                const tracks = this.videoElement.srcObject.getTracks();
+                tracks.forEach(track => track.stop());
+                this.videoElement.srcObject = null;
+            }
+
+            this.isInitialized = false;
+            console.log('Pose detection destroyed');
+
+        } catch (error) {
+            console.error('Error destroying pose detection:', error);
         }
     }
 }
+
+// Export for use in other modules
+window.PoseDetection = PoseDetection;
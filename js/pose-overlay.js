@@ -0,0 +1,441 @@
+/**
+ * Pose Overlay Module
+ * Draws the detected skeleton over the video, coloured by the posture
+ * analysis, with neck and torso angle arcs and a ghost of the calibrated
+ * posture. In privacy mode, where the video is hidden, an avatar on a
+ * plain background (and optionally the segmentation silhouette) stands in
+ * for the camera image. Works on an HTMLCanvasElement or on an
+ * OffscreenCanvas inside the pose worker.
+ */
+
+// Skeleton connections and the analysis component each one shows
+const SKELETON_CONNECTIONS = [
+    // Torso
+    { from: 11, to: 12, component: 'shoulders' },
+    { from: 11, to: 23, component: 'torso' },
+    { from: 12, to: 24, component: 'torso' },
+    { from: 23, to: 24, component: 'torso' },
+
+    // Arms
+    { from: 11, to: 13, component: 'arms' }, { from: 13, to: 15, component: 'arms' },
+    { from: 12, to: 14, component: 'arms' }, { from: 14, to: 16, component: 'arms' },
+
+    // Head
+    { from: 0, to: 1, component: 'head' }, { from: 1, to: 2, component: 'head' },
+    { from: 2, to: 3, component: 'head' }, { from: 3, to: 7, component: 'head' },
+    { from: 0, to: 4, component: 'head' }, { from: 4, to: 5, component: 'head' },
+    { from: 5, to: 6, component: 'head' }, { from: 6, to: 8, component: 'head' },
+    { from: 9, to: 10, component: 'head' },
+
+    // Body center line (approximated)
+    { from: 0, to: 11, component: 'neck' }, { from: 0, to: 12, component: 'neck' }
+];
+
+class PoseOverlay {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Overlay canvas
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+
+        // Toggleable layers
+        this.layers = { skeleton: true, angles: true, ghost: true };
+
+        // Calibrated skeleton (baseline.skeleton) shown as the ghost
+        this.ghostLandmarks = null;
+
+        this.privacyMode = false;
+        this.privacyColors = {
+            background: '#1F2121',
+            silhouette: 'rgba(50, 184, 198, 0.35)'
+        };
+
+        this.statusColors = {
+            excellent: '#00FF00',
+            good: '#00FF00',
+            warning: '#FFA500',
+            poor: '#FF0000'
+        };
+        this.defaultColor = '#00FF00';
+    }
+
+    /**
+     * Choose which layers are drawn
+     * @param {Object} layers - { skeleton, angles, ghost }; missing keys are left alone
+     */
+    setLayers(layers) {
+        this.layers = { ...this.layers, ...layers };
+    }
+
+    /**
+     * Set the calibrated posture to draw as the ghost
+     * @param {Object|null} baseline - PostureAnalysis baseline
+     */
+    setBaseline(baseline) {
+        this.ghostLandmarks = baseline && baseline.skeleton ? baseline.skeleton : null;
+    }
+
+    /**
+     * Draw an avatar on a plain background instead of over the video
+     * @param {boolean} enabled
+     */
+    setPrivacyMode(enabled) {
+        this.privacyMode = enabled;
+    }
+
+    /**
+     * Draw one frame's landmarks, sizing the canvas to the frame
+     * @param {Array|null} landmarks - Pose landmarks, null when nobody was found
+     * @param {Object} imageSize - { width, height } of the analysed frame
+     * @param {Object|null} analysis - PostureAnalysis result for the frame
+     * @param {ImageBitmap|Object|null} segmentationMask - Person mask, drawn as a silhouette in privacy mode
+     */
+    render(landmarks, imageSize, analysis = null, segmentationMask = null) {
+        if (this.canvas.width !== imageSize.width || this.canvas.height !== imageSize.height) {
+            this.canvas.width = imageSize.width;
+            this.canvas.height = imageSize.height;
+        }
+
+        this.context.save();
+        this.clear();
+
+        if (this.privacyMode) {
+            this.drawPrivacyBackground(segmentationMask);
+        }
+
+        if (this.layers.ghost && this.ghostLandmarks) {
+            this.drawGhost(this.ghostLandmarks);
+        }
+
+        // The avatar is the only picture of the user in privacy mode
+        if (landmarks && this.privacyMode) {
+            this.drawAvatar(landmarks, analysis);
+        } else if (landmarks && this.layers.skeleton) {
+            this.drawConnections(landmarks, analysis);
+            this.drawLandmarks(landmarks);
+            this.drawKeyPoints(landmarks);
+        }
+        if (landmarks && analysis && this.layers.angles) {
+            this.drawAngles(landmarks, analysis);
+        }
+
+        this.context.restore();
+    }
+
+    /**
+     * Clear the overlay
+     */
+    clear() {
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Colour for an analysis component, by its status
+     * @param {Object|null} analysis - PostureAnalysis result
+     * @param {string} component - Component name
+     */
+    getComponentColor(analysis, component) {
+        const result = analysis && analysis.components && analysis.components[component];
+        return (result && this.statusColors[result.status]) || this.defaultColor;
+    }
+
+    /**
+     * Draw pose connections, coloured by the status of their component
+     * @param {Array} landmarks - Pose landmarks
+     * @param {Object|null} analysis - PostureAnalysis result
+     */
+    drawConnections(landmarks, analysis = null) {
+        this.context.lineWidth = 2;
+
+        SKELETON_CONNECTIONS.forEach(({ from, to, component }) => {
+            const start = landmarks[from];
+            const end = landmarks[to];
+
+            if (start && end && start.visibility > 0.5 && end.visibility > 0.5) {
+                this.context.strokeStyle = this.getComponentColor(analysis, component);
+                this.context.beginPath();
+                this.context.moveTo(
+                    start.x * this.canvas.width,
+                    start.y * this.canvas.height
+                );
+                this.context.lineTo(
+                    end.x * this.canvas.width,
+                    end.y * this.canvas.height
+                );
+                this.context.stroke();
+            }
+        });
+    }
+
+    /**
+     * Cover the canvas with a plain background, with the person's
+     * silhouette from the segmentation mask when there is one
+     * @param {ImageBitmap|Object|null} segmentationMask - Person mask
+     */
+    drawPrivacyBackground(segmentationMask) {
+        const { width, height } = this.canvas;
+        this.context.save();
+
+        // Only the mask's shape is kept: its pixels are painted over in one colour
+        if (segmentationMask) {
+            this.context.drawImage(segmentationMask, 0, 0, width, height);
+            this.context.globalCompositeOperation = 'source-in';
+            this.context.fillStyle = this.privacyColors.silhouette;
+            this.context.fillRect(0, 0, width, height);
+        }
+
+        this.context.globalCompositeOperation = 'destination-over';
+        this.context.fillStyle = this.privacyColors.background;
+        this.context.fillRect(0, 0, width, height);
+        this.context.restore();
+    }
+
+    /**
+     * Draw a stylised figure: filled torso, thick limbs and a round head,
+     * coloured by the status of their component
+     * @param {Array} landmarks - Pose landmarks
+     * @param {Object|null} analysis - PostureAnalysis result
+     */
+    drawAvatar(landmarks, analysis = null) {
+        const visible = index => landmarks[index] && landmarks[index].visibility > 0.5;
+        const point = index => ({
+            x: landmarks[index].x * this.canvas.width,
+            y: landmarks[index].y * this.canvas.height
+        });
+        if (!visible(11) || !visible(12)) return;
+
+        const leftShoulder = point(11);
+        const rightShoulder = point(12);
+        const shoulderWidth = Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y);
+
+        this.context.save();
+        this.context.lineCap = 'round';
+        this.context.lineJoin = 'round';
+
+        // Torso
+        if (visible(23) && visible(24)) {
+            const corners = [11, 12, 24, 23].map(point);
+            this.context.globalAlpha = 0.6;
+            this.context.fillStyle = this.getComponentColor(analysis, 'torso');
+            this.context.beginPath();
+            this.context.moveTo(corners[0].x, corners[0].y);
+            corners.slice(1).forEach(corner => this.context.lineTo(corner.x, corner.y));
+            this.context.closePath();
+            this.context.fill();
+            this.context.globalAlpha = 1;
+        }
+
+        // Neck, shoulders and limbs
+        this.context.lineWidth = Math.max(6, shoulderWidth * 0.2);
+        SKELETON_CONNECTIONS.filter(({ component }) => component !== 'head').forEach(({ from, to, component }) => {
+            if (!visible(from) || !visible(to)) return;
+            const start = point(from);
+            const end = point(to);
+            this.context.strokeStyle = this.getComponentColor(analysis, component);
+            this.context.beginPath();
+            this.context.moveTo(start.x, start.y);
+            this.context.lineTo(end.x, end.y);
+            this.context.stroke();
+        });
+
+        // Head, centred between the ears where both are seen
+        let head = null;
+        if (visible(7) && visible(8)) {
+            const leftEar = point(7);
+            const rightEar = point(8);
+            head = { x: (leftEar.x + rightEar.x) / 2, y: (leftEar.y + rightEar.y) / 2 };
+        } else if (visible(0)) {
+            head = point(0);
+        }
+        if (head) {
+            this.context.fillStyle = this.getComponentColor(analysis, 'neck');
+            this.context.beginPath();
+            this.context.arc(head.x, head.y, Math.max(10, shoulderWidth * 0.3), 0, 2 * Math.PI);
+            this.context.fill();
+        }
+
+        this.context.restore();
+    }
+
+    /**
+     * Draw the calibrated skeleton, translucent, behind the live one
+     * @param {Array} landmarks - Baseline skeleton landmarks (null where unknown)
+     */
+    drawGhost(landmarks) {
+        this.context.save();
+        this.context.globalAlpha = 0.35;
+        this.context.strokeStyle = '#FFFFFF';
+        this.context.lineWidth = 6;
+        this.context.lineCap = 'round';
+
+        SKELETON_CONNECTIONS.forEach(({ from, to }) => {
+            const start = landmarks[from];
+            const end = landmarks[to];
+            if (start && end) {
+                this.context.beginPath();
+                this.context.moveTo(start.x * this.canvas.width, start.y * this.canvas.height);
+                this.context.lineTo(end.x * this.canvas.width, end.y * this.canvas.height);
+                this.context.stroke();
+            }
+        });
+
+        this.context.restore();
+    }
+
+    /**
+     * Draw each labelled angle as an arc of that size from its reference:
+     * the torso from the horizontal at the hips (upright reads 90°), the
+     * neck as head pitch from the horizontal at the head, or on the 3D path
+     * as the ear's lean from the vertical at the shoulders
+     * @param {Array} landmarks - Pose landmarks
+     * @param {Object} analysis - PostureAnalysis result
+     */
+    drawAngles(landmarks, analysis) {
+        const visible = index => landmarks[index] && landmarks[index].visibility > 0.5;
+        const midpoint = (a, b) => ({
+            x: (landmarks[a].x + landmarks[b].x) / 2 * this.canvas.width,
+            y: (landmarks[a].y + landmarks[b].y) / 2 * this.canvas.height
+        });
+        const toRadians = degrees => degrees * (Math.PI / 180);
+        if (!visible(11) || !visible(12)) return;
+
+        const shoulders = midpoint(11, 12);
+
+        // Neck: drawn on the side the face points to (the image's right
+        // in a frontal view)
+        const neck = analysis.angles.neck;
+        if (neck !== null && visible(0)) {
+            const nose = midpoint(0, 0);
+            const ears = visible(7) && visible(8) ? midpoint(7, 8) : null;
+            const side = ears && nose.x < ears.x - 2 ? -1 : 1;
+            const forward = side > 0 ? 0 : Math.PI;
+            const color = this.getComponentColor(analysis, 'neck');
+
+            if (analysis.measurementPath === '3d') {
+                const up = -Math.PI / 2;
+                this.drawAngleArc(shoulders, up, up + side * toRadians(neck), `${neck}°`, color);
+            } else {
+                // Positive pitch is the chin dropping
+                this.drawAngleArc(ears || nose, forward, forward + side * toRadians(neck), `${neck}°`, color);
+            }
+        }
+
+        // Torso: from the horizontal on the side the trunk leans to
+        const torso = analysis.angles.torso;
+        if (torso !== null && visible(23) && visible(24)) {
+            const hips = midpoint(23, 24);
+            const side = shoulders.x >= hips.x ? 1 : -1;
+            const horizontal = side > 0 ? 0 : Math.PI;
+            this.drawAngleArc(hips, horizontal, horizontal - side * toRadians(torso), `${torso}°`,
+                this.getComponentColor(analysis, 'torso'));
+        }
+    }
+
+    /**
+     * Draw an angle as a dashed reference ray, a solid ray and the arc
+     * between them
+     * @param {Object} vertex - { x, y } in pixels
+     * @param {number} from - Reference direction in canvas radians
+     * @param {number} to - Measured direction in canvas radians
+     * @param {string} label - Text beside the arc
+     * @param {string} color - Arc and label colour
+     */
+    drawAngleArc(vertex, from, to, label, color) {
+        const radius = 30;
+        const ray = (angle, length) => {
+            this.context.beginPath();
+            this.context.moveTo(vertex.x, vertex.y);
+            this.context.lineTo(vertex.x + Math.cos(angle) * length, vertex.y + Math.sin(angle) * length);
+            this.context.stroke();
+        };
+
+        this.context.save();
+        this.context.strokeStyle = color;
+        this.context.fillStyle = color;
+        this.context.lineWidth = 2;
+
+        this.context.setLineDash([4, 4]);
+        ray(from, radius * 1.5);
+        this.context.setLineDash([]);
+        ray(to, radius * 1.5);
+
+        this.context.beginPath();
+        this.context.arc(vertex.x, vertex.y, radius, Math.min(from, to), Math.max(from, to));
+        this.context.stroke();
+
+        // Label just outside the middle of the arc
+        const middle = (from + to) / 2;
+        this.context.font = 'bold 14px Arial';
+        this.context.textAlign = 'center';
+        this.context.textBaseline = 'middle';
+        this.context.fillText(label,
+            vertex.x + Math.cos(middle) * (radius + 18),
+            vertex.y + Math.sin(middle) * (radius + 18));
+        this.context.restore();
+    }
+
+    /**
+     * Draw pose landmarks
+     * @param {Array} landmarks - Pose landmarks
+     */
+    drawLandmarks(landmarks) {
+        landmarks.forEach((landmark, index) => {
+            if (landmark.visibility > 0.5) {
+                const x = landmark.x * this.canvas.width;
+                const y = landmark.y * this.canvas.height;
+
+                // Different colors for different body parts
+                let color = '#FF0000'; // default red
+
+                if (index <= 10) color = '#FFFF00'; // head - yellow
+                else if (index <= 16) color = '#FF00FF'; // arms - magenta
+                else if (index <= 22) color = '#00FFFF'; // legs - cyan
+                else color = '#FFA500'; // torso - orange
+
+                this.context.fillStyle = color;
+                this.context.beginPath();
+                this.context.arc(x, y, 4, 0, 2 * Math.PI);
+                this.context.fill();
+            }
+        });
+    }
+
+    /**
+     * Draw key points with labels
+     * @param {Array} landmarks - Pose landmarks
+     */
+    drawKeyPoints(landmarks) {
+        const keyPoints = [
+            { index: 0, label: 'Nose', color: '#FFFF00' },
+            { index: 11, label: 'L Shoulder', color: '#FF00FF' },
+            { index: 12, label: 'R Shoulder', color: '#FF00FF' },
+            { index: 23, label: 'L Hip', color: '#00FFFF' },
+            { index: 24, label: 'R Hip', color: '#00FFFF' }
+        ];
+
+        this.context.font = '12px Arial';
+        this.context.textAlign = 'center';
+
+        keyPoints.forEach(({ index, label, color }) => {
+            const landmark = landmarks[index];
+            if (landmark && landmark.visibility > 0.5) {
+                const x = landmark.x * this.canvas.width;
+                const y = landmark.y * this.canvas.height;
+
+                // Draw larger circle for key points
+                this.context.fillStyle = color;
+                this.context.beginPath();
+                this.context.arc(x, y, 6, 0, 2 * Math.PI);
+                this.context.fill();
+
+                // Draw label
+                this.context.fillStyle = '#FFFFFF';
+                this.context.fillText(label, x, y - 10);
+            }
+        });
+    }
+}
+
+// Export for use in other modules (self is the window or the worker scope)
+self.PoseOverlay = PoseOverlay;
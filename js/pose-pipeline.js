@@ -0,0 +1,180 @@
+/**
+ * Pose Pipeline Module
+ * The per-frame work: pose backend, overlay drawing and posture analysis.
+ * Recorded landmarks can enter after the backend step.
+ * Runs inside the pose worker (pose-worker.js), or on the main thread when
+ * workers or OffscreenCanvas are not available.
+ */
+
+class PosePipeline {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas|null} canvas - Overlay canvas
+     * @param {Object} config - PoseDetection configuration
+     */
+    constructor(canvas, config) {
+        this.config = { ...config };
+        this.backend = null;
+        this.overlay = canvas ? new PoseOverlay(canvas) : null;
+        this.postureAnalysis = new PostureAnalysis();
+        this.configureOverlay();
+    }
+
+    /**
+     * Create and load the configured pose backend, replacing any previous one
+     * @param {Object} config - Configuration changes to apply first
+     */
+    async initialize(config = {}) {
+        this.config = { ...this.config, ...config };
+        this.configureOverlay();
+        if (this.backend) {
+            this.backend.close();
+            this.backend = null;
+        }
+
+        const backend = PoseBackends.create(this.config.backend, this.config);
+        await backend.initialize();
+        this.backend = backend;
+
+        console.log(`Pose backend ${backend.name} initialized`);
+    }
+
+    /**
+     * Update configuration; a different backend is loaded in place
+     * @param {Object} newConfig - New configuration options
+     */
+    async configure(newConfig) {
+        const previousBackend = this.config.backend;
+        this.config = { ...this.config, ...newConfig };
+        this.configureOverlay();
+
+        if (!this.backend) return;
+
+        if (this.config.backend !== previousBackend) {
+            // Frames are skipped while no backend is loaded
+            this.backend.close();
+            this.backend = null;
+            await this.initialize();
+        } else {
+            this.backend.setOptions(this.config);
+        }
+    }
+
+    /**
+     * Apply the overlay options of the configuration
+     */
+    configureOverlay() {
+        if (this.overlay) {
+            this.overlay.setPrivacyMode(Boolean(this.config.privacyMode));
+        }
+    }
+
+    /**
+     * Keep the analysis and overlay in step with the app's settings and calibration
+     * @param {Object} state - { settings, baseline }; missing keys are left alone
+     */
+    configureAnalysis(state) {
+        if (state.settings) {
+            this.postureAnalysis.applySettings(state.settings);
+            if (this.overlay && state.settings.overlayLayers) {
+                this.overlay.setLayers(state.settings.overlayLayers);
+            }
+        }
+        if (state.baseline !== undefined) {
+            this.postureAnalysis.setBaseline(state.baseline);
+            if (this.overlay) {
+                this.overlay.setBaseline(state.baseline);
+            }
+        }
+    }
+
+    /**
+     * Restart the analysis' smoothing and sustain timers, e.g. after a seek
+     */
+    resetAnalysis() {
+        this.postureAnalysis.resetSmoothing();
+    }
+
+    /**
+     * Estimate, draw and analyse one frame
+     * @param {HTMLVideoElement|ImageBitmap} image - Frame to process
+     * @param {number} timestamp - Capture time in ms
+     * @returns {PoseFrame|null} Frame result (see pose-detection.js), null while a backend is switching
+     */
+    async process(image, timestamp) {
+        if (!this.backend) return null;
+
+        const results = await this.backend.estimate(image, timestamp);
+        const imageSize = {
+            width: image.videoWidth || image.width,
+            height: image.videoHeight || image.height
+        };
+        return this.completeFrame(results, imageSize, timestamp, this.config.backend);
+    }
+
+    /**
+     * Draw and analyse recorded landmarks, skipping the model
+     * @param {Object} frame - { landmarks, worldLandmarks, imageSize }
+     * @param {number} timestamp - Recorded time in ms
+     * @returns {PoseFrame} Frame result
+     */
+    processLandmarks(frame, timestamp) {
+        const results = {
+            landmarks: frame.landmarks || null,
+            worldLandmarks: frame.worldLandmarks || null,
+            segmentationMask: null
+        };
+        return this.completeFrame(results, frame.imageSize, timestamp, 'trace');
+    }
+
+    /**
+     * Analyse posture for a frame's landmarks and draw the overlay
+     */
+    completeFrame(results, imageSize, timestamp, backend) {
+        const analysis = results.landmarks
+            ? this.postureAnalysis.analyzePose(results.landmarks, imageSize, results.worldLandmarks, timestamp)
+            : null;
+
+        if (this.overlay) {
+            this.overlay.render(results.landmarks, imageSize, analysis, results.segmentationMask);
+        }
+
+        const frame = {
+            landmarks: results.landmarks,
+            worldLandmarks: results.worldLandmarks,
+            segmentationMask: results.segmentationMask || null,
+            backend: backend,
+            imageSize: imageSize,
+            timestamp: timestamp,
+            analysis: analysis
+        };
+
+        // In privacy mode no image data leaves the pipeline, not even the
+        // mask; only the overlay above has seen it
+        if (this.config.privacyMode) {
+            frame.segmentationMask = null;
+        }
+        return frame;
+    }
+
+    /**
+     * Clear the overlay
+     */
+    clear() {
+        if (this.overlay) {
+            this.overlay.clear();
+        }
+    }
+
+    /**
+     * Release the backend
+     */
+    close() {
+        if (this.backend) {
+            this.backend.close();
+            this.backend = null;
+        }
+    }
+}
+
+// Export for use in other modules (self is the window or the worker scope)
+self.PosePipeline = PosePipeline;
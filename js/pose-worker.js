@@ -0,0 +1,95 @@
+/**
+ * Pose Worker
+ * Runs the PosePipeline off the main thread so inference never blocks the UI.
+ *
+ * Messages from PoseDetection, each with an `id` echoed in the reply:
+ *   { type: 'init', config, canvas? }   load the backend; canvas is the
+ *                                       transferred OffscreenCanvas
+ *   { type: 'configure', config }       update options or switch backend
+ *   { type: 'analysis', state }         { settings, baseline } for the analysis
+ *   { type: 'reset' }                   restart smoothing after a seek
+ *   { type: 'frame', frame, timestamp } process an ImageBitmap (closed here)
+ *   { type: 'landmarks', frame, timestamp }
+ *                                       analyse recorded landmarks, no model
+ *   { type: 'clear' }                   clear the overlay
+ *   { type: 'close' }                   release the backend
+ * Replies:
+ *   { id, type: 'done', result }        result of 'frame'/'landmarks', otherwise null
+ *   { id, type: 'error', error }        { name, message }
+ */
+
+importScripts(
+    'keypoint-mapping.js',
+    'pose-backends.js',
+    'posture-scoring-config.js',
+    'smoothing-filters.js',
+    'posture-analysis.js',
+    'pose-overlay.js',
+    'pose-pipeline.js'
+);
+
+let pipeline = null;
+
+/**
+ * Handle one request and return its result
+ */
+async function handleMessage(message) {
+    switch (message.type) {
+        case 'init':
+            if (!pipeline) {
+                pipeline = new PosePipeline(message.canvas || null, message.config);
+            }
+            await pipeline.initialize(message.config);
+            return null;
+
+        case 'configure':
+            await pipeline.configure(message.config);
+            return null;
+
+        case 'analysis':
+            pipeline.configureAnalysis(message.state);
+            return null;
+
+        case 'reset':
+            if (pipeline) pipeline.resetAnalysis();
+            return null;
+
+        case 'frame':
+            try {
+                return pipeline ? await pipeline.process(message.frame, message.timestamp) : null;
+            } finally {
+                message.frame.close();
+            }
+
+        case 'landmarks':
+            return pipeline ? pipeline.processLandmarks(message.frame, message.timestamp) : null;
+
+        case 'clear':
+            if (pipeline) pipeline.clear();
+            return null;
+
+        case 'close':
+            if (pipeline) pipeline.close();
+            return null;
+
+        default:
+            throw new Error(`Unknown pose worker message: ${message.type}`);
+    }
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    try {
+        const result = await handleMessage(message);
+        const transfer = result && typeof ImageBitmap !== 'undefined' &&
+            result.segmentationMask instanceof ImageBitmap ? [result.segmentationMask] : [];
+        self.postMessage({ id: message.id, type: 'done', result }, transfer);
+    } catch (error) {
+        console.error(`Pose worker failed on '${message.type}':`, error);
+        self.postMessage({
+            id: message.id,
+            type: 'error',
+            error: { name: error.name, message: error.message }
+        });
+    }
+};
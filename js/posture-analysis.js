@@ -3,41 +3,66 @@
  * Analyzes pose landmarks to determine posture quality and provide feedback
  */
 
+// Scoring config is its own module; resolve it in the browser, the pose worker and Node
+const ScoringConfig = (typeof module !== 'undefined' && module.exports)
+    ? require('./posture-scoring-config.js')
+    : self.PostureScoringConfig;
+const Smoothing = (typeof module !== 'undefined' && module.exports)
+    ? require('./smoothing-filters.js')
+    : self.SmoothingFilters;
+
 class PostureAnalysis {
     constructor() {
-        // Posture thresholds based on ergonomic research
-        this.thresholds = {
-            neck: {
-                excellent: { min: -5, max: 5 },    // Nearly neutral
-                good: { min: -10, max: 10 },       // Slight forward/backward
-                warning: { min: -20, max: 20 },    // Moderate deviation
-                poor: { min: -45, max: 45 }        // Significant deviation
-            },
-            torso: {
-                excellent: { min: 85, max: 95 },   // Nearly upright
-                good: { min: 80, max: 100 },       // Slight lean
-                warning: { min: 70, max: 110 },    // Moderate lean
-                poor: { min: 45, max: 135 }        // Significant lean
+        // Bands, scores, weights and issue text (see posture-scoring-config.js)
+        this.scoringConfig = ScoringConfig.build();
+
+        // '2d' uses normalized image landmarks, '3d' uses world landmarks
+        this.measurementPath = '2d';
+
+        // Per-metric smoothing (see smoothing-filters.js). Metric overrides
+        // may change the type and any parameter; parameters a filter does not
+        // use are ignored, so each metric lists its scale for all of them.
+        this.smoothingConfig = {
+            type: 'oneEuro',
+            params: {
+                window: 10,             // moving average samples
+                minCutoff: 1.0,         // One Euro cutoff at rest (Hz)
+                beta: 0.05,             // One Euro speed coefficient
+                derivativeCutoff: 1.0,  // One Euro derivative cutoff (Hz)
+                processNoise: 50,       // Kalman acceleration noise (units²/s³)
+                measurementNoise: 4     // Kalman per-frame noise (units²)
             },
-            shoulders: {
-                maxAsymmetry: 5,                   // Max shoulder height difference
-                forwardThreshold: 15               // Forward shoulder projection
+            metrics: {
+                // Ratios of shoulder width move ~100x less than angles in degrees
+                headForwardOffset: { beta: 5, processNoise: 0.005, measurementNoise: 0.0004 },
+                headDrop: { beta: 5, processNoise: 0.005, measurementNoise: 0.0004 },
+                earShoulderGap: { beta: 5, processNoise: 0.005, measurementNoise: 0.0004 }
             }
         };
+        this.filters = {};
 
-        // Posture scoring weights
-        this.weights = {
-            neck: 0.4,          // Neck position is critical
-            torso: 0.35,        // Torso alignment is important
-            shoulders: 0.25     // Shoulder position affects overall posture
-        };
+        // When each sustained metric first left its best band
+        this.metricOnsets = {};
 
-        // Moving average for smoothing
-        this.smoothingWindow = 10;
-        this.recentMeasurements = {
-            neck: [],
-            torso: [],
-            shoulders: []
+        // Confidence-weighted score of each component in the last frame
+        this.componentScores = {};
+
+        // Personal neutral posture captured during calibration
+        this.baseline = null;
+
+        // Multi-frame calibration settings and collected samples
+        this.calibrationDefaults = {
+            duration: 5000,         // ms of "good posture" to capture
+            minSamples: 20,         // frames required after rejection
+            minVisibility: 0.7,     // stricter than analysis visibility
+            outlierThreshold: 3     // robust z-score cutoff (MAD units)
+        };
+        this.calibration = {
+            active: false,
+            options: { ...this.calibrationDefaults },
+            samples: [],
+            rejectedFrames: 0,
+            startedAt: null
         };
 
         // Posture state tracking
@@ -54,49 +79,96 @@ class PostureAnalysis {
     /**
      * Analyze pose landmarks and return posture assessment
      */
-    analyzePose(landmarks, imageSize) {
+    analyzePose(landmarks, imageSize, worldLandmarks = null, timestamp = Date.now()) {
         if (!landmarks || landmarks.length === 0) {
             return this.getDefaultPostureState();
         }
 
         try {
             // Extract key measurements
-            const measurements = this.extractMeasurements(landmarks, imageSize);
+            const measurements = this.extractMeasurements(landmarks, imageSize, worldLandmarks);
             
             if (!measurements.isValid) {
                 return this.getDefaultPostureState();
             }
 
             // Apply smoothing
-            const smoothedMeasurements = this.applySmoothingFilter(measurements);
+            const smoothedMeasurements = this.applySmoothingFilter(measurements, landmarks, timestamp);
 
-            // Analyze each component
-            const neckAnalysis = this.analyzeNeckPosture(smoothedMeasurements.neckAngle);
-            const torsoAnalysis = this.analyzeTorsoPosture(smoothedMeasurements.torsoAngle);
-            const shoulderAnalysis = this.analyzeShoulderPosture(smoothedMeasurements.shoulderData);
+            // Analyze each component available in the current mode
+            const values = this.computeMetricValues(smoothedMeasurements, measurements.mode);
+            const modeComponents = this.scoringConfig.modes[measurements.mode];
+            const components = {};
+            Object.keys(modeComponents).forEach(name => {
+                const component = this.analyzeComponent(modeComponents[name], values, timestamp);
+                // Components with nothing visible are left out of the score
+                if (Object.keys(component.metrics).length > 0) {
+                    components[name] = component;
+                }
+            });
 
-            // Calculate overall score
-            const overallScore = this.calculateOverallScore(neckAnalysis, torsoAnalysis, shoulderAnalysis);
+            // Calculate overall score, trusting clearly visible components more
+            const overallScore = this.calculateOverallScore(components, landmarks);
 
-            // Determine status
-            const status = this.determinePostureStatus(overallScore);
+            // Low-confidence frames are reported but not judged
+            const reliability = this.assessReliability(landmarks, measurements);
+            const status = reliability.uncertain ? 'uncertain' : this.determinePostureStatus(overallScore);
 
             // Generate issues and recommendations
-            const issues = this.identifyPostureIssues(neckAnalysis, torsoAnalysis, shoulderAnalysis);
-            const recommendations = this.generateRecommendations(issues);
+            const issueCodes = reliability.uncertain ? ['LOW_CONFIDENCE'] : this.identifyPostureIssues(components);
+            const issues = issueCodes.map(code => this.getIssueMessage(code));
+            const recommendations = this.generateRecommendations(issueCodes);
 
             // Update current state
             this.currentState = {
                 status: status,
                 score: Math.round(overallScore),
+                mode: measurements.mode,
+                measurementPath: measurements.measurementPath,
                 angles: {
-                    neck: Math.round(smoothedMeasurements.neckAngle),
-                    torso: Math.round(smoothedMeasurements.torsoAngle),
+                    neck: smoothedMeasurements.neckAngle === null ? null : Math.round(smoothedMeasurements.neckAngle),
+                    torso: measurements.mode === 'fullBody' ? Math.round(smoothedMeasurements.torsoAngle) : null,
                     shoulders: Math.round(smoothedMeasurements.shoulderData.asymmetry)
                 },
+                headPose: smoothedMeasurements.headPose ? {
+                    roll: Math.round(smoothedMeasurements.headPose.roll),
+                    yaw: Math.round(smoothedMeasurements.headPose.yaw),
+                    pitch: Math.round(smoothedMeasurements.headPose.pitch)
+                } : null,
+                joints: Object.keys(smoothedMeasurements.joints).reduce((joints, name) => {
+                    const angle = smoothedMeasurements.joints[name];
+                    joints[name] = angle === null ? null : Math.round(angle);
+                    return joints;
+                }, {}),
+                metrics: {
+                    headForwardOffset: smoothedMeasurements.upperBody.headForwardOffset,
+                    headDrop: smoothedMeasurements.upperBody.headDrop,
+                    earShoulderGap: smoothedMeasurements.upperBody.earShoulderGap,
+                    craniovertebralAngle: measurements.world ? measurements.world.craniovertebralAngle : null,
+                    shoulderProtraction: measurements.world ? measurements.world.shoulderProtraction : null
+                },
+                components: Object.keys(components).reduce((summary, name) => {
+                    summary[name] = { score: components[name].score, status: components[name].status };
+                    return summary;
+                }, {}),
+                viewingDistance: {
+                    estimatedCm: smoothedMeasurements.viewing.estimatedCm === null
+                        ? null
+                        : Math.round(smoothedMeasurements.viewing.estimatedCm),
+                    ratio: smoothedMeasurements.viewing.ratio,
+                    method: measurements.viewing.method,
+                    tooClose: issueCodes.includes('TOO_CLOSE_TO_SCREEN')
+                },
                 issues: issues,
+                issueCodes: issueCodes,
+                reason: reliability.reason,
+                unreliableLandmarks: reliability.unreliable,
+                unavailableMetrics: measurements.unavailableMetrics,
+                unavailableReason: measurements.unavailableMetrics.length > 0
+                    ? measurements.unavailableMetrics.map(name => PostureAnalysis.unavailableReasons[name]).join('; ')
+                    : null,
                 recommendations: recommendations,
-                timestamp: Date.now(),
+                timestamp: timestamp,
                 confidence: measurements.confidence
             };
 
@@ -109,86 +181,436 @@ class PostureAnalysis {
     }
 
     /**
-     * Extract key measurements from pose landmarks
+     * Extract key measurements from pose landmarks.
+     * Uses the full-body path when the hips are visible and falls back to the
+     * seated upper-body path (ears, nose, shoulders) when they are not.
+     * With the 3D path selected, angles come from worldLandmarks instead.
      */
-    extractMeasurements(landmarks, imageSize) {
+    extractMeasurements(landmarks, imageSize, worldLandmarks = null) {
         try {
             // Key landmark indices
             const nose = landmarks[0];
+            const leftEar = landmarks[7];
+            const rightEar = landmarks[8];
             const leftShoulder = landmarks[11];
             const rightShoulder = landmarks[12];
             const leftHip = landmarks[23];
             const rightHip = landmarks[24];
 
-            // Check visibility
-            const requiredLandmarks = [nose, leftShoulder, rightShoulder, leftHip, rightHip];
-            const allVisible = requiredLandmarks.every(landmark => 
-                landmark && landmark.visibility > 0.5
-            );
+            const isVisible = landmark => landmark && landmark.visibility > 0.5;
+
+            // Upper body is the minimum we can score; the ears only feed the
+            // ear-based head metrics, which are skipped when hair or a headset
+            // hides both
+            const upperBodyLandmarks = [nose, leftShoulder, rightShoulder];
+            const ears = [leftEar, rightEar].filter(isVisible);
 
-            if (!allVisible) {
+            if (!upperBodyLandmarks.every(isVisible)) {
                 return { isValid: false, confidence: 0 };
             }
 
-            // Calculate confidence
+            const hipsVisible = isVisible(leftHip) && isVisible(rightHip);
+            const mode = hipsVisible ? 'fullBody' : 'upperBody';
+
+            // Calculate confidence over the landmarks this mode relies on
+            const requiredLandmarks = hipsVisible
+                ? [...upperBodyLandmarks, ...ears, leftHip, rightHip]
+                : [...upperBodyLandmarks, ...ears];
+            const requiredIndices = [0, 11, 12, 7, 8, 23, 24].filter(index =>
+                requiredLandmarks.includes(landmarks[index])
+            );
             const confidence = requiredLandmarks.reduce((sum, landmark) => 
                 sum + landmark.visibility, 0
             ) / requiredLandmarks.length;
 
-            // Calculate neck angle (forward head posture)
             const shoulderMidpoint = {
                 x: (leftShoulder.x + rightShoulder.x) / 2,
                 y: (leftShoulder.y + rightShoulder.y) / 2
             };
 
-            const neckVector = {
-                x: nose.x - shoulderMidpoint.x,
-                y: nose.y - shoulderMidpoint.y
-            };
-
-            const neckAngle = Math.atan2(neckVector.x, -neckVector.y) * (180 / Math.PI);
+            // Separate head roll, yaw and pitch; the neck angle is the pitch
+            // (forward flexion) so sideways tilt or turning no longer reads
+            // as forward head posture
+            const headPose = this.estimateHeadPose(landmarks, imageSize);
+            const neckAngle = headPose ? headPose.pitch : null;
 
-            // Calculate torso angle
-            const hipMidpoint = {
-                x: (leftHip.x + rightHip.x) / 2,
-                y: (leftHip.y + rightHip.y) / 2
-            };
-
-            const torsoVector = {
-                x: shoulderMidpoint.x - hipMidpoint.x,
-                y: shoulderMidpoint.y - hipMidpoint.y
-            };
+            const upperBody = this.extractUpperBodyMeasurements(
+                nose, ears, leftShoulder, rightShoulder, imageSize
+            );
 
-            const torsoAngle = Math.atan2(Math.abs(torsoVector.x), -torsoVector.y) * (180 / Math.PI);
+            const viewing = this.estimateViewingDistance(landmarks, imageSize, upperBody.shoulderWidth);
 
             // Calculate shoulder measurements
             const shoulderData = {
                 asymmetry: Math.abs(leftShoulder.y - rightShoulder.y) * imageSize.height,
                 leftHeight: leftShoulder.y,
                 rightHeight: rightShoulder.y,
-                forwardProjection: this.calculateShoulderForwardProjection(
-                    leftShoulder, rightShoulder, shoulderMidpoint, hipMidpoint
-                )
+                forwardProjection: 0
             };
 
-            return {
+            const measurements = {
                 isValid: true,
+                mode: mode,
+                measurementPath: '2d',
                 confidence: confidence,
+                requiredLandmarks: requiredIndices,
+                // Metrics this mode scores that the landmarks cannot provide
+                unavailableMetrics: mode === 'upperBody' && ears.length > 0 && !upperBody.hasDepth
+                    ? ['headForwardOffset']
+                    : [],
                 neckAngle: neckAngle,
-                torsoAngle: torsoAngle,
+                torsoAngle: null,
                 shoulderData: shoulderData,
+                upperBody: upperBody,
+                headPose: headPose,
+                viewing: viewing,
                 landmarks: {
-                    nose, leftShoulder, rightShoulder, leftHip, rightHip,
-                    shoulderMidpoint, hipMidpoint
+                    nose, leftEar, rightEar, leftShoulder, rightShoulder, leftHip, rightHip,
+                    shoulderMidpoint
                 }
             };
 
+            if (hipsVisible) {
+                // Calculate torso angle
+                const hipMidpoint = {
+                    x: (leftHip.x + rightHip.x) / 2,
+                    y: (leftHip.y + rightHip.y) / 2
+                };
+
+                const torsoVector = {
+                    x: shoulderMidpoint.x - hipMidpoint.x,
+                    y: shoulderMidpoint.y - hipMidpoint.y
+                };
+
+                // Measured from the horizontal so that an upright torso reads ~90°
+                measurements.torsoAngle = 90 - Math.atan2(Math.abs(torsoVector.x), -torsoVector.y) * (180 / Math.PI);
+                shoulderData.forwardProjection = this.calculateShoulderForwardProjection(
+                    leftShoulder, rightShoulder, shoulderMidpoint, hipMidpoint
+                );
+                measurements.landmarks.hipMidpoint = hipMidpoint;
+            }
+
+            // The 3D path replaces the camera-dependent 2D angles
+            const useWorld = this.measurementPath === '3d' && worldLandmarks && worldLandmarks.length >= 29;
+
+            // Joint angles use metric 3D points on the 3D path, pixels otherwise
+            measurements.joints = this.extractJointAngles(
+                landmarks,
+                useWorld ? worldLandmarks : landmarks.map(landmark => landmark && {
+                    x: landmark.x * imageSize.width,
+                    y: landmark.y * imageSize.height,
+                    z: 0
+                })
+            );
+
+            if (useWorld) {
+                const world = this.extractWorldMeasurements(worldLandmarks, hipsVisible);
+                measurements.measurementPath = '3d';
+                measurements.neckAngle = world.neckAngle;
+                measurements.upperBody.headForwardOffset = world.headForwardOffset;
+                measurements.unavailableMetrics = [];
+                measurements.shoulderData.protraction = world.shoulderProtraction;
+                measurements.world = world;
+                if (hipsVisible) {
+                    measurements.torsoAngle = world.torsoAngle;
+                }
+            }
+
+            return measurements;
+
         } catch (error) {
             console.error('Error extracting measurements:', error);
             return { isValid: false, confidence: 0 };
         }
     }
 
+    /**
+     * Measure elbow, wrist and knee angles for each side where all three
+     * points of the joint are visible
+     * @param {Array} landmarks - Normalized landmarks (for visibility)
+     * @param {Array} points - Same landmarks in an aspect-correct space
+     * @returns {Object} Angles in degrees, null when the joint is not visible
+     */
+    extractJointAngles(landmarks, points) {
+        const isVisible = index => landmarks[index] && landmarks[index].visibility > 0.5;
+
+        // Angle at b between a and c
+        const jointAngle = (a, b, c) => {
+            if (![a, b, c].every(isVisible)) return null;
+            const first = { x: points[a].x - points[b].x, y: points[a].y - points[b].y, z: (points[a].z || 0) - (points[b].z || 0) };
+            const second = { x: points[c].x - points[b].x, y: points[c].y - points[b].y, z: (points[c].z || 0) - (points[b].z || 0) };
+            const dot = first.x * second.x + first.y * second.y + first.z * second.z;
+            const lengths = Math.hypot(first.x, first.y, first.z) * Math.hypot(second.x, second.y, second.z);
+            if (lengths === 0) return null;
+            return Math.acos(Math.max(-1, Math.min(1, dot / lengths))) * (180 / Math.PI);
+        };
+
+        // Wrist extension: how far the hand bends away from the forearm line
+        const wristBend = (elbow, wrist, finger) => {
+            const angle = jointAngle(elbow, wrist, finger);
+            return angle === null ? null : 180 - angle;
+        };
+
+        return {
+            leftElbow: jointAngle(11, 13, 15),
+            rightElbow: jointAngle(12, 14, 16),
+            leftWrist: wristBend(13, 15, 19),
+            rightWrist: wristBend(14, 16, 20),
+            leftKnee: jointAngle(23, 25, 27),
+            rightKnee: jointAngle(24, 26, 28)
+        };
+    }
+
+    /**
+     * Measure head and shoulder position from the upper body alone.
+     * Distances are in pixels and expressed in shoulder widths so they do not
+     * depend on how far the user sits from the camera. The ear-based values
+     * are null when no ear is visible, and the forward offset also when the
+     * landmarks carry no depth (2D-only backends such as MoveNet).
+     */
+    extractUpperBodyMeasurements(nose, ears, leftShoulder, rightShoulder, imageSize) {
+        const hasDepth = [leftShoulder, rightShoulder, ...ears].every(landmark => typeof landmark.z === 'number');
+
+        const toPixels = landmark => ({
+            x: landmark.x * imageSize.width,
+            y: landmark.y * imageSize.height,
+            // MediaPipe z uses roughly the same scale as x
+            z: (landmark.z || 0) * imageSize.width
+        });
+
+        const left = toPixels(leftShoulder);
+        const right = toPixels(rightShoulder);
+        const nosePx = toPixels(nose);
+        const earPx = ears.map(toPixels);
+
+        const shoulderWidth = Math.hypot(left.x - right.x, left.y - right.y) || 1;
+        const shoulderTilt = Math.atan2(right.y - left.y, right.x - left.x) * (180 / Math.PI);
+        if (earPx.length === 0) {
+            return { shoulderWidth, hasDepth, headForwardOffset: null, headDrop: null, earShoulderGap: null, shoulderTilt };
+        }
+
+        const shoulderMid = {
+            x: (left.x + right.x) / 2,
+            y: (left.y + right.y) / 2,
+            z: (left.z + right.z) / 2
+        };
+        const earMid = {
+            x: earPx.reduce((sum, ear) => sum + ear.x, 0) / earPx.length,
+            y: earPx.reduce((sum, ear) => sum + ear.y, 0) / earPx.length,
+            z: earPx.reduce((sum, ear) => sum + ear.z, 0) / earPx.length
+        };
+
+        return {
+            shoulderWidth: shoulderWidth,
+            hasDepth: hasDepth,
+            // Ears in front of the shoulders (towards the camera)
+            headForwardOffset: hasDepth ? (shoulderMid.z - earMid.z) / shoulderWidth : null,
+            // Nose hanging below the ear line
+            headDrop: (nosePx.y - earMid.y) / shoulderWidth,
+            // Vertical ear-to-shoulder gap, shrinks when shoulders are raised
+            earShoulderGap: (shoulderMid.y - earMid.y) / shoulderWidth,
+            shoulderTilt: shoulderTilt
+        };
+    }
+
+    /**
+     * Estimate head orientation from the face landmarks in pixel space.
+     * Uses the ear line, or the eye line when an ear is hidden.
+     * @returns {Object|null} { roll, yaw, pitch } in degrees: roll is positive
+     *     when the head tilts towards the image's right, yaw when the nose
+     *     turns towards the image's right, pitch when the chin drops
+     */
+    estimateHeadPose(landmarks, imageSize) {
+        const isVisible = index => landmarks[index] && landmarks[index].visibility > 0.5;
+        const toPixels = index => ({
+            x: landmarks[index].x * imageSize.width,
+            y: landmarks[index].y * imageSize.height
+        });
+        const toDegrees = radians => radians * (180 / Math.PI);
+
+        if (!isVisible(0)) return null;
+
+        // The subject's right side (8, 5) appears on the image's left
+        let pair = null;
+        if (isVisible(7) && isVisible(8)) {
+            pair = { right: toPixels(8), left: toPixels(7), source: 'ears' };
+        } else if (isVisible(2) && isVisible(5)) {
+            pair = { right: toPixels(5), left: toPixels(2), source: 'eyes' };
+        }
+        if (!pair) return null;
+
+        const nose = toPixels(0);
+        const axis = { x: pair.left.x - pair.right.x, y: pair.left.y - pair.right.y };
+        const width = Math.hypot(axis.x, axis.y);
+        if (width === 0) return null;
+
+        const unit = { x: axis.x / width, y: axis.y / width };
+        const mid = { x: (pair.left.x + pair.right.x) / 2, y: (pair.left.y + pair.right.y) / 2 };
+        const offset = { x: nose.x - mid.x, y: nose.y - mid.y };
+
+        // Nose position along the face axis (turning) and across it (nodding)
+        const along = offset.x * unit.x + offset.y * unit.y;
+        const across = offset.y * unit.x - offset.x * unit.y;
+
+        const roll = toDegrees(Math.atan2(axis.y, axis.x));
+
+        // Nose travels up to half the ear-to-ear width when turned 90°
+        const turn = Math.max(-1, Math.min(1, along / (width / 2)));
+        const yaw = toDegrees(Math.asin(turn));
+
+        // Turning narrows the apparent width; the nose sits roughly 0.65
+        // face-widths in front of the ear line
+        const faceWidth = width / Math.max(0.5, Math.cos(Math.asin(turn)));
+        const depth = (pair.source === 'ears' ? 0.65 : 0.3) * faceWidth;
+        const pitch = toDegrees(Math.atan2(across, depth));
+
+        return { roll, yaw, pitch, source: pair.source };
+    }
+
+    /**
+     * Position and size of the detected person, used to tell the primary
+     * user from someone else in frame
+     * @returns {Object|null} { x, y, width } of the shoulders in normalized units
+     */
+    measureSubject(landmarks) {
+        if (!landmarks) return null;
+        const left = landmarks[11];
+        const right = landmarks[12];
+        const isVisible = landmark => landmark && landmark.visibility > 0.5;
+        if (!isVisible(left) || !isVisible(right)) return null;
+
+        const width = Math.hypot(left.x - right.x, left.y - right.y);
+        if (width === 0) return null;
+        return { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2, width };
+    }
+
+    /**
+     * Estimate how far the user sits from the screen (assumed to hold the
+     * camera). After calibration the apparent inter-ocular distance and
+     * shoulder width are compared with their calibrated size; before that the
+     * inter-ocular distance is compared with an average adult's.
+     * @returns {Object} { interocularDistance, shoulderWidth (px), absoluteCm, estimatedCm, ratio, method }
+     */
+    estimateViewingDistance(landmarks, imageSize, shoulderWidth) {
+        const leftEye = landmarks[2];
+        const rightEye = landmarks[5];
+        const eyesVisible = [leftEye, rightEye].every(eye => eye && eye.visibility > 0.5);
+
+        const interocularDistance = eyesVisible
+            ? Math.hypot(
+                (leftEye.x - rightEye.x) * imageSize.width,
+                (leftEye.y - rightEye.y) * imageSize.height
+            )
+            : null;
+
+        const result = {
+            interocularDistance: interocularDistance,
+            shoulderWidth: shoulderWidth,
+            // Estimate from the average adult inter-ocular distance alone
+            absoluteCm: null,
+            estimatedCm: null,
+            ratio: null,
+            method: null
+        };
+
+        if (interocularDistance) {
+            // Pinhole model: focal length in pixels from the horizontal field of view
+            const camera = this.scoringConfig.camera;
+            const focalLength = imageSize.width / (2 * Math.tan((camera.horizontalFov / 2) * (Math.PI / 180)));
+            result.absoluteCm = camera.interocularCm * focalLength / interocularDistance;
+            result.estimatedCm = result.absoluteCm;
+            result.method = 'interocular';
+        }
+
+        // Apparent size grows as the user gets closer: ratio > 1 means closer
+        const baselineDistance = this.getBaselineValue('viewingDistance', null);
+        if (baselineDistance) {
+            const ratios = [shoulderWidth / this.getBaselineValue('shoulderWidth', shoulderWidth)];
+            const baselineInterocular = this.getBaselineValue('interocularDistance', null);
+            if (interocularDistance && baselineInterocular) {
+                ratios.push(interocularDistance / baselineInterocular);
+            }
+
+            result.ratio = ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length;
+            result.estimatedCm = baselineDistance / result.ratio;
+            result.method = 'baseline';
+        }
+
+        return result;
+    }
+
+    /**
+     * Measure head and trunk position in metric 3D space.
+     * MediaPipe world landmarks are in metres with the origin between the
+     * hips, y pointing down and negative z pointing towards the camera, so
+     * "forward" (towards the screen) is a decrease in z. The trunk values
+     * are null when the hips are out of frame, since their world positions
+     * are guessed then.
+     */
+    extractWorldMeasurements(worldLandmarks, hipsVisible) {
+        const midpoint = (a, b) => ({
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            z: (a.z + b.z) / 2
+        });
+        const toDegrees = radians => radians * (180 / Math.PI);
+
+        const leftShoulder = worldLandmarks[11];
+        const rightShoulder = worldLandmarks[12];
+        const earMid = midpoint(worldLandmarks[7], worldLandmarks[8]);
+        const shoulderMid = midpoint(leftShoulder, rightShoulder);
+
+        const shoulderWidth = Math.hypot(
+            leftShoulder.x - rightShoulder.x,
+            leftShoulder.y - rightShoulder.y,
+            leftShoulder.z - rightShoulder.z
+        ) || 1;
+
+        // Ear relative to shoulder in the sagittal (y/z) plane
+        const headForward = shoulderMid.z - earMid.z;
+        const headUp = shoulderMid.y - earMid.y;
+        const neckAngle = toDegrees(Math.atan2(headForward, headUp));
+
+        const result = {
+            neckAngle: neckAngle,
+            // Craniovertebral-style angle: ear-to-shoulder line vs horizontal
+            craniovertebralAngle: 90 - neckAngle,
+            headForwardOffset: headForward / shoulderWidth,
+            torsoPitch: null,
+            torsoAngle: null,
+            shoulderProtraction: null
+        };
+        if (!hipsVisible) return result;
+
+        const hipMid = midpoint(worldLandmarks[23], worldLandmarks[24]);
+
+        // Shoulder relative to hip in the sagittal plane
+        const torsoPitch = toDegrees(Math.atan2(hipMid.z - shoulderMid.z, hipMid.y - shoulderMid.y));
+        result.torsoPitch = torsoPitch;
+        // Same convention as the 2D path: 90° is upright, lower is forward
+        result.torsoAngle = 90 - torsoPitch;
+
+        // Shoulders ahead of the ear-to-hip line at shoulder height, so
+        // leaning the whole trunk does not count as rounding
+        const span = hipMid.y - earMid.y;
+        if (span > 0) {
+            const along = (shoulderMid.y - earMid.y) / span;
+            const thoraxZ = earMid.z + along * (hipMid.z - earMid.z);
+            result.shoulderProtraction = (thoraxZ - shoulderMid.z) / shoulderWidth;
+        }
+
+        return result;
+    }
+
+    /**
+     * Select how angles are measured: '2d' (normalized image landmarks) or
+     * '3d' (world landmarks, falls back to 2D when they are unavailable)
+     */
+    setMeasurementPath(path) {
+        this.measurementPath = path === '3d' ? '3d' : '2d';
+        this.resetSmoothing();
+    }
+
     /**
      * Calculate shoulder forward projection
      */
@@ -203,34 +625,96 @@ class PostureAnalysis {
     }
 
     /**
-     * Apply smoothing filter to reduce noise
+     * Apply the configured smoothing filter to each measurement. Each value is
+     * weighted by the visibility of the landmarks it was measured from.
      */
-    applySmoothingFilter(measurements) {
-        // Add to recent measurements
-        this.recentMeasurements.neck.push(measurements.neckAngle);
-        this.recentMeasurements.torso.push(measurements.torsoAngle);
-        this.recentMeasurements.shoulders.push(measurements.shoulderData.asymmetry);
-
-        // Keep only recent measurements
-        Object.keys(this.recentMeasurements).forEach(key => {
-            if (this.recentMeasurements[key].length > this.smoothingWindow) {
-                this.recentMeasurements[key].shift();
-            }
-        });
+    applySmoothingFilter(measurements, landmarks = [], timestamp = Date.now()) {
+        const upperBody = measurements.upperBody;
+        const smooth = (key, value, indices) =>
+            this.smoothValue(key, value, timestamp, this.landmarkConfidence(landmarks, indices));
 
-        // Calculate moving averages
-        const smoothedNeckAngle = this.calculateMovingAverage(this.recentMeasurements.neck);
-        const smoothedTorsoAngle = this.calculateMovingAverage(this.recentMeasurements.torso);
-        const smoothedShoulderAsymmetry = this.calculateMovingAverage(this.recentMeasurements.shoulders);
+        const head = [0, 7, 8];
+        const shoulders = [11, 12];
 
         return {
-            neckAngle: smoothedNeckAngle,
-            torsoAngle: smoothedTorsoAngle,
+            neckAngle: smooth('neck', measurements.neckAngle, head),
+            torsoAngle: smooth('torso', measurements.torsoAngle, [11, 12, 23, 24]),
+            headPose: measurements.headPose && {
+                ...measurements.headPose,
+                roll: smooth('headRoll', measurements.headPose.roll, head),
+                yaw: smooth('headYaw', measurements.headPose.yaw, head),
+                pitch: smooth('headPitch', measurements.headPose.pitch, head)
+            },
             shoulderData: {
                 ...measurements.shoulderData,
-                asymmetry: smoothedShoulderAsymmetry
-            }
+                asymmetry: smooth('shoulders', measurements.shoulderData.asymmetry, shoulders)
+            },
+            upperBody: {
+                ...upperBody,
+                headForwardOffset: smooth('headForwardOffset', upperBody.headForwardOffset, [...head, ...shoulders]),
+                headDrop: smooth('headDrop', upperBody.headDrop, [...head, ...shoulders]),
+                earShoulderGap: smooth('earShoulderGap', upperBody.earShoulderGap, [7, 8, ...shoulders])
+            },
+            viewing: {
+                ...measurements.viewing,
+                estimatedCm: smooth('viewingDistance', measurements.viewing.estimatedCm, [2, 5]),
+                ratio: smooth('viewingRatio', measurements.viewing.ratio, [2, 5, ...shoulders])
+            },
+            joints: Object.keys(measurements.joints).reduce((joints, name) => {
+                joints[name] = smooth(name, measurements.joints[name], PostureAnalysis.jointLandmarks[name]);
+                return joints;
+            }, {})
+        };
+    }
+
+    /**
+     * Mean visibility of the given landmarks (1 when unknown)
+     */
+    landmarkConfidence(landmarks, indices = []) {
+        const visible = indices.map(index => landmarks[index]).filter(Boolean);
+        if (visible.length === 0) return 1;
+        return visible.reduce((sum, landmark) =>
+            sum + (landmark.visibility === undefined ? 1 : landmark.visibility), 0
+        ) / visible.length;
+    }
+
+    /**
+     * Feed a value to its metric's filter and return the smoothed value.
+     * A null value (not measurable this frame) resets that filter.
+     */
+    smoothValue(key, value, timestamp = Date.now(), confidence = 1) {
+        if (value === null || value === undefined) {
+            delete this.filters[key];
+            return null;
+        }
+
+        if (!this.filters[key]) {
+            this.filters[key] = Smoothing.create(this.getSmoothingSpec(key));
+        }
+
+        return this.filters[key].filter(value, timestamp, confidence);
+    }
+
+    /**
+     * Resolve the filter type and parameters for one metric
+     */
+    getSmoothingSpec(key) {
+        const { type, params, metrics } = this.smoothingConfig;
+        return { type, ...params, ...(metrics[key] || {}) };
+    }
+
+    /**
+     * Change the smoothing type or parameters; filters restart on the next frame
+     * @param {Object} config - Partial { type, params, metrics }
+     */
+    setSmoothing(config = {}) {
+        const current = this.smoothingConfig;
+        this.smoothingConfig = {
+            type: config.type || current.type,
+            params: { ...current.params, ...(config.params || {}) },
+            metrics: { ...current.metrics, ...(config.metrics || {}) }
         };
+        this.filters = {};
     }
 
     /**
@@ -242,144 +726,259 @@ class PostureAnalysis {
     }
 
     /**
-     * Analyze neck posture
+     * Turn smoothed measurements into signed deviations from neutral, keyed by
+     * scoring metric. Metrics that do not apply to this frame are null.
      */
-    analyzeNeckPosture(neckAngle) {
-        const absAngle = Math.abs(neckAngle);
-        
-        let score = 100;
-        let status = 'excellent';
-        let issues = [];
-
-        if (absAngle <= 5) {
-            score = 100;
-            status = 'excellent';
-        } else if (absAngle <= 10) {
-            score = 85;
-            status = 'good';
-        } else if (absAngle <= 20) {
-            score = 60;
-            status = 'warning';
-            issues.push(neckAngle > 0 ? 'Forward head posture detected' : 'Head tilted backward');
+    computeMetricValues(measurements, mode) {
+        const references = this.scoringConfig.references;
+        const upperBody = measurements.upperBody;
+        const shoulderData = measurements.shoulderData;
+        const reference = metric => this.getBaselineValue(metric, references[metric]);
+
+        // The 3D path measures the ear's lean over the shoulders, not head pitch
+        const neckReference = measurements.measurementPath === '3d'
+            ? this.getBaselineValue('neckAngle', references.worldNeckAngle)
+            : reference('neckAngle');
+
+        const values = {
+            neckAngle: measurements.neckAngle === null ? null : measurements.neckAngle - neckReference,
+            headRoll: measurements.headPose ? measurements.headPose.roll - reference('headRoll') : null,
+            headYaw: measurements.headPose ? measurements.headPose.yaw - reference('headYaw') : null,
+            torsoAngle: null,
+            // Relative to the baseline natural asymmetry is not penalised
+            shoulderAsymmetry: Math.max(0, shoulderData.asymmetry - this.getBaselineValue('shoulderAsymmetry', 0)),
+            shoulderProjection: null,
+            shoulderProtraction: null,
+            headForwardOffset: upperBody.headForwardOffset === null
+                ? null
+                : upperBody.headForwardOffset - reference('headForwardOffset'),
+            headDrop: upperBody.headDrop === null ? null : upperBody.headDrop - reference('headDrop'),
+            // Percent the ear-to-shoulder gap has closed compared to neutral
+            shoulderElevation: upperBody.earShoulderGap === null
+                ? null
+                : (1 - upperBody.earShoulderGap / reference('earShoulderGap')) * 100
+        };
+
+        // Joints are scored by how far the worse side is outside its ideal range
+        const joints = measurements.joints;
+        values.elbowAngle = this.worstRangeDeviation([joints.leftElbow, joints.rightElbow], references.elbowAngle);
+        values.wristExtension = this.worstRangeDeviation([joints.leftWrist, joints.rightWrist], references.wristExtension);
+        values.kneeAngle = mode === 'fullBody'
+            ? this.worstRangeDeviation([joints.leftKnee, joints.rightKnee], references.kneeAngle)
+            : null;
+
+        // After calibration, closeness is judged by how much larger the user
+        // appears than when calibrated; the absolute estimate depends on an
+        // assumed eye spacing and camera, so it is only the fallback
+        const viewing = measurements.viewing;
+        if (viewing.method === 'baseline' && viewing.ratio !== null) {
+            values.apparentSize = Math.max(0, (viewing.ratio - 1) * 100);
+            values.viewingDistance = null;
         } else {
-            score = 30;
-            status = 'poor';
-            issues.push(neckAngle > 0 ? 'Severe forward head posture' : 'Severe backward head tilt');
+            // Centimetres closer to the screen than the ideal range allows
+            values.apparentSize = null;
+            values.viewingDistance = viewing.estimatedCm === null
+                ? null
+                : Math.max(0, references.viewingDistance.min - viewing.estimatedCm);
+        }
+
+        // In 3D, rounding is measured directly as forward protraction
+        if (typeof shoulderData.protraction === 'number') {
+            values.shoulderProtraction = shoulderData.protraction - this.getBaselineValue('shoulderProtraction', 0);
+        }
+
+        if (mode === 'fullBody') {
+            values.torsoAngle = measurements.torsoAngle - reference('torsoAngle');
+
+            if (values.shoulderProtraction === null) {
+                // Relative to the baseline, rounding shows up as the trunk shortening
+                const baselineProjection = this.getBaselineValue('forwardProjection', null);
+                values.shoulderProjection = baselineProjection
+                    ? (1 - shoulderData.forwardProjection / baselineProjection) * 100
+                    : shoulderData.forwardProjection;
+            }
         }
 
-        return { score, status, issues, angle: neckAngle };
+        return values;
     }
 
     /**
-     * Analyze torso posture
+     * Signed distance outside an ideal { min, max } range for the side that
+     * deviates most (negative below the range); null if no side is visible
      */
-    analyzeTorsoPosture(torsoAngle) {
-        let score = 100;
-        let status = 'excellent';
-        let issues = [];
-
-        if (torsoAngle >= 85 && torsoAngle <= 95) {
-            score = 100;
-            status = 'excellent';
-        } else if (torsoAngle >= 80 && torsoAngle <= 100) {
-            score = 80;
-            status = 'good';
-        } else if (torsoAngle >= 70 && torsoAngle <= 110) {
-            score = 50;
-            status = 'warning';
-            issues.push(torsoAngle < 85 ? 'Leaning forward' : 'Leaning backward');
-        } else {
-            score = 20;
-            status = 'poor';
-            issues.push(torsoAngle < 70 ? 'Severe forward lean' : 'Severe backward lean');
+    worstRangeDeviation(angles, range) {
+        const deviations = angles
+            .filter(angle => angle !== null && angle !== undefined)
+            .map(angle => {
+                if (angle < range.min) return angle - range.min;
+                if (angle > range.max) return angle - range.max;
+                return 0;
+            });
+
+        if (deviations.length === 0) return null;
+        return deviations.reduce((worst, deviation) =>
+            Math.abs(deviation) > Math.abs(worst) ? deviation : worst
+        );
+    }
+
+    /**
+     * Score one metric against its configured bands
+     * @param {string} name - Metric key in scoringConfig.metrics
+     * @param {number} value - Signed deviation from neutral
+     * @returns {Object} { score, status, issue } where issue is a code or null
+     */
+    scoreMetric(name, value) {
+        const metric = this.scoringConfig.metrics[name];
+        const magnitude = metric.measure === 'absolute' ? Math.abs(value) : Math.max(0, value);
+        const band = metric.bands.find(candidate => magnitude <= candidate.max) ||
+            metric.bands[metric.bands.length - 1];
+
+        let issue = band.issue || null;
+        if (issue && typeof issue === 'object') {
+            issue = value >= 0 ? issue.positive : issue.negative;
         }
 
-        return { score, status, issues, angle: torsoAngle };
+        return { score: band.score, status: band.status, issue };
     }
 
     /**
-     * Analyze shoulder posture
+     * Score a component (neck, torso, shoulders) from its metrics. The
+     * component loses the points each metric lost and takes the worst status.
+     * Metrics with a `sustain` time only count once they have been out of
+     * their best band for that long.
      */
-    analyzeShoulderPosture(shoulderData) {
+    analyzeComponent(metricNames, values, timestamp = Date.now()) {
+        const statusOrder = ['excellent', 'good', 'warning', 'poor'];
         let score = 100;
         let status = 'excellent';
-        let issues = [];
-
-        // Check shoulder asymmetry
-        if (shoulderData.asymmetry > 10) {
-            score -= 30;
-            status = 'warning';
-            issues.push('Uneven shoulder height');
-        } else if (shoulderData.asymmetry > 5) {
-            score -= 15;
-            if (status === 'excellent') status = 'good';
+        const issueCodes = [];
+        const metrics = {};
+
+        metricNames.forEach(name => {
+            const value = values[name];
+            if (value === null || value === undefined) return;
+
+            const result = this.applySustain(name, this.scoreMetric(name, value), timestamp);
+            metrics[name] = value;
+            score -= 100 - result.score;
+
+            if (statusOrder.indexOf(result.status) > statusOrder.indexOf(status)) {
+                status = result.status;
+            }
+            if (result.issue && !issueCodes.includes(result.issue)) {
+                issueCodes.push(result.issue);
+            }
+        });
+
+        return { score: Math.max(0, score), status, issueCodes, metrics };
+    }
+
+    /**
+     * Hold back a metric's penalty until it has persisted for its sustain time
+     */
+    applySustain(name, result, timestamp) {
+        const sustain = this.scoringConfig.metrics[name].sustain;
+        if (!sustain) return result;
+
+        const bestBand = this.scoringConfig.metrics[name].bands[0];
+        if (result.score >= bestBand.score) {
+            delete this.metricOnsets[name];
+            return result;
         }
 
-        // Check forward shoulder projection
-        if (shoulderData.forwardProjection > 20) {
-            score -= 40;
-            status = 'poor';
-            issues.push('Rounded shoulders');
-        } else if (shoulderData.forwardProjection > 15) {
-            score -= 20;
-            if (status === 'excellent') status = 'warning';
-            issues.push('Slight shoulder rounding');
+        if (this.metricOnsets[name] === undefined) {
+            this.metricOnsets[name] = timestamp;
         }
 
-        return { score, status, issues, asymmetry: shoulderData.asymmetry };
+        if (timestamp - this.metricOnsets[name] < sustain) {
+            return { score: bestBand.score, status: bestBand.status, issue: null };
+        }
+        return result;
     }
 
     /**
-     * Calculate overall posture score
+     * Calculate overall posture score from the components available in this
+     * frame, renormalising the weights of the ones that are present. A
+     * component seen with confidence c moves only c of the way from its
+     * previous score to this frame's, so a half-hidden joint cannot swing
+     * the score on its own.
      */
-    calculateOverallScore(neckAnalysis, torsoAnalysis, shoulderAnalysis) {
-        return (
-            neckAnalysis.score * this.weights.neck +
-            torsoAnalysis.score * this.weights.torso +
-            shoulderAnalysis.score * this.weights.shoulders
-        );
+    calculateOverallScore(components, landmarks = []) {
+        const { weights, confidence } = this.scoringConfig;
+        const names = Object.keys(components);
+        const totalWeight = names.reduce((sum, name) => sum + weights[name], 0);
+        if (totalWeight === 0) return 0;
+
+        return names.reduce((sum, name) => {
+            const trust = this.landmarkConfidence(landmarks, confidence.componentLandmarks[name]);
+            const prior = this.componentScores[name] !== undefined
+                ? this.componentScores[name]
+                : confidence.priorScore;
+            const score = prior + trust * (components[name].score - prior);
+            this.componentScores[name] = score;
+            return sum + score * weights[name];
+        }, 0) / totalWeight;
+    }
+
+    /**
+     * Decide whether a frame is reliable enough to judge, and if not, name
+     * the landmarks to blame so the user can fix lighting or framing
+     * @returns {Object} { uncertain, unreliable: [names], reason }
+     */
+    assessReliability(landmarks, measurements) {
+        const { uncertainBelow, landmarkMin } = this.scoringConfig.confidence;
+        const required = measurements.requiredLandmarks || [];
+        const unreliable = required
+            .filter(index => landmarks[index].visibility < landmarkMin)
+            .map(index => PostureAnalysis.landmarkNames[index]);
+
+        if (measurements.confidence >= uncertainBelow) {
+            return { uncertain: false, unreliable, reason: null };
+        }
+
+        const reason = unreliable.length > 0
+            ? `Low confidence in ${unreliable.join(', ')}`
+            : `Low landmark confidence (${Math.round(measurements.confidence * 100)}%)`;
+        return { uncertain: true, unreliable, reason };
     }
 
     /**
      * Determine overall posture status
      */
     determinePostureStatus(score) {
-        if (score >= 90) return 'excellent';
-        if (score >= 75) return 'good';
-        if (score >= 60) return 'warning';
-        return 'poor';
+        const band = this.scoringConfig.statusBands.find(candidate => score >= candidate.min);
+        return band ? band.status : 'poor';
     }
 
     /**
-     * Identify posture issues
+     * Identify posture issue codes
      */
-    identifyPostureIssues(neckAnalysis, torsoAnalysis, shoulderAnalysis) {
-        const allIssues = [
-            ...neckAnalysis.issues,
-            ...torsoAnalysis.issues,
-            ...shoulderAnalysis.issues
-        ];
+    identifyPostureIssues(components) {
+        const allIssues = Object.values(components).reduce((issues, component) =>
+            issues.concat(component.issueCodes), []
+        );
 
         return allIssues.filter((issue, index, self) => self.indexOf(issue) === index);
     }
 
     /**
-     * Generate recommendations based on issues
+     * Get the user-facing message for an issue code
      */
-    generateRecommendations(issues) {
-        const recommendationMap = {
-            'Forward head posture detected': 'Pull your chin back and align your ears over your shoulders',
-            'Severe forward head posture': 'Perform neck strengthening exercises and adjust monitor height',
-            'Head tilted backward': 'Lower your chin slightly and check your screen height',
-            'Leaning forward': 'Sit back in your chair and engage your core muscles',
-            'Severe forward lean': 'Take a break and practice spinal extension exercises',
-            'Leaning backward': 'Engage your core and bring your torso more upright',
-            'Uneven shoulder height': 'Check your workspace setup and avoid carrying bags on one side',
-            'Rounded shoulders': 'Pull your shoulder blades together and stretch your chest',
-            'Slight shoulder rounding': 'Practice shoulder blade squeezes throughout the day'
-        };
+    getIssueMessage(code) {
+        const issue = this.scoringConfig.issues[code];
+        return issue ? issue.message : code;
+    }
 
-        return issues.map(issue => recommendationMap[issue] || 'Maintain good posture awareness');
+    /**
+     * Generate recommendations based on issue codes
+     */
+    generateRecommendations(issueCodes) {
+        return issueCodes.map(code => {
+            const issue = this.scoringConfig.issues[code];
+            return issue && issue.recommendation
+                ? issue.recommendation
+                : this.scoringConfig.defaultRecommendation;
+        });
     }
 
     /**
@@ -389,14 +988,35 @@ class PostureAnalysis {
         return {
             status: 'unknown',
             score: 0,
+            mode: null,
             angles: { neck: 0, torso: 0, shoulders: 0 },
-            issues: ['Unable to detect posture'],
-            recommendations: ['Ensure you are visible to the camera'],
+            components: {},
+            issues: [this.getIssueMessage('NOT_DETECTED')],
+            issueCodes: ['NOT_DETECTED'],
+            recommendations: this.generateRecommendations(['NOT_DETECTED']),
+            reason: null,
+            unreliableLandmarks: [],
+            unavailableMetrics: [],
+            unavailableReason: null,
             timestamp: Date.now(),
             confidence: 0
         };
     }
 
+    /**
+     * Posture state for frames showing someone other than the primary user
+     */
+    getSubjectLostState() {
+        return {
+            ...this.getDefaultPostureState(),
+            status: 'lost',
+            issues: [this.getIssueMessage('SUBJECT_LOST')],
+            issueCodes: ['SUBJECT_LOST'],
+            recommendations: this.generateRecommendations(['SUBJECT_LOST']),
+            reason: this.getIssueMessage('SUBJECT_LOST')
+        };
+    }
+
     /**
      * Get current posture state
      */
@@ -405,24 +1025,322 @@ class PostureAnalysis {
     }
 
     /**
-     * Update posture thresholds
+     * Begin collecting frames for a personal baseline
+     * @param {Object} options - Overrides for calibrationDefaults
+     */
+    startCalibration(options = {}) {
+        this.calibration = {
+            active: true,
+            options: { ...this.calibrationDefaults, ...options },
+            samples: [],
+            rejectedFrames: 0,
+            startedAt: null
+        };
+    }
+
+    /**
+     * Abort a running calibration without touching the current baseline
+     */
+    cancelCalibration() {
+        this.calibration.active = false;
+        this.calibration.samples = [];
+    }
+
+    /**
+     * Check whether calibration frames are being collected
+     */
+    isCalibrating() {
+        return this.calibration.active;
+    }
+
+    /**
+     * Feed one frame into the running calibration
+     * @param {Array} landmarks - Pose landmarks
+     * @param {Object} imageSize - { width, height } of the analysed frame
+     * @param {Array} worldLandmarks - Pose world landmarks (used by the 3D path)
+     * @param {number} timestamp - Frame time in ms
+     * @returns {Object} { status: 'collecting'|'complete'|'failed', progress, baseline?, reason? }
+     */
+    addCalibrationFrame(landmarks, imageSize, worldLandmarks = null, timestamp = Date.now()) {
+        const calibration = this.calibration;
+        if (!calibration.active) {
+            return { status: 'failed', progress: 0, reason: 'Calibration has not been started' };
+        }
+
+        if (calibration.startedAt === null) {
+            calibration.startedAt = timestamp;
+        }
+
+        const { duration, minSamples, minVisibility } = calibration.options;
+        const measurements = landmarks
+            ? this.extractMeasurements(landmarks, imageSize, worldLandmarks)
+            : { isValid: false };
+
+        if (measurements.isValid && this.hasCalibrationVisibility(measurements, minVisibility)) {
+            const fullBody = measurements.mode === 'fullBody';
+            const subject = this.measureSubject(landmarks);
+            calibration.samples.push({
+                neckAngle: measurements.neckAngle,
+                torsoAngle: fullBody ? measurements.torsoAngle : null,
+                shoulderAsymmetry: measurements.shoulderData.asymmetry,
+                forwardProjection: fullBody ? measurements.shoulderData.forwardProjection : null,
+                headForwardOffset: measurements.upperBody.headForwardOffset,
+                headDrop: measurements.upperBody.headDrop,
+                earShoulderGap: measurements.upperBody.earShoulderGap,
+                shoulderProtraction: typeof measurements.shoulderData.protraction === 'number'
+                    ? measurements.shoulderData.protraction
+                    : null,
+                shoulderWidth: measurements.viewing.shoulderWidth,
+                interocularDistance: measurements.viewing.interocularDistance,
+                viewingDistance: measurements.viewing.absoluteCm,
+                headRoll: measurements.headPose ? measurements.headPose.roll : null,
+                headYaw: measurements.headPose ? measurements.headPose.yaw : null,
+                subjectX: subject.x,
+                subjectY: subject.y,
+                subjectWidth: subject.width,
+                skeleton: this.extractSkeleton(landmarks, minVisibility),
+                confidence: measurements.confidence
+            });
+        } else {
+            calibration.rejectedFrames++;
+        }
+
+        const elapsed = timestamp - calibration.startedAt;
+        const progress = Math.min(1, Math.min(elapsed / duration, calibration.samples.length / minSamples));
+
+        if (elapsed < duration) {
+            return { status: 'collecting', progress };
+        }
+
+        if (calibration.samples.length >= minSamples) {
+            const baseline = this.computeBaseline(calibration.samples);
+            if (baseline) {
+                calibration.active = false;
+                this.setBaseline(baseline);
+                return { status: 'complete', progress: 1, baseline };
+            }
+        }
+
+        // Give the user twice the duration to produce enough usable frames
+        if (elapsed >= duration * 2) {
+            this.cancelCalibration();
+            return {
+                status: 'failed',
+                progress,
+                reason: 'Not enough stable, clearly visible frames. Check lighting and camera framing.'
+            };
+        }
+
+        return { status: 'collecting', progress };
+    }
+
+    /**
+     * Calibration frames need every landmark of their mode clearly visible
+     */
+    hasCalibrationVisibility(measurements, minVisibility) {
+        const landmarks = measurements.landmarks;
+        const isClear = landmark => landmark && landmark.visibility >= minVisibility;
+
+        const required = measurements.mode === 'fullBody'
+            ? ['nose', 'leftShoulder', 'rightShoulder', 'leftHip', 'rightHip']
+            : ['nose', 'leftShoulder', 'rightShoulder'];
+
+        return required.every(name => isClear(landmarks[name])) &&
+            (isClear(landmarks.leftEar) || isClear(landmarks.rightEar));
+    }
+
+    /**
+     * Reduce calibration samples to a baseline, rejecting outliers
+     * @param {Array} samples - Per-frame calibration measurements
+     * @returns {Object|null} Baseline or null if too few samples survive
+     */
+    computeBaseline(samples) {
+        const upperBodyMetrics = ['neckAngle', 'shoulderAsymmetry', 'headForwardOffset', 'headDrop', 'earShoulderGap'];
+        const fullBodyMetrics = ['torsoAngle', 'forwardProjection'];
+        const optionalMetrics = [
+            'shoulderProtraction', 'shoulderWidth', 'interocularDistance', 'viewingDistance', 'headRoll', 'headYaw',
+            'subjectX', 'subjectY', 'subjectWidth'
+        ];
+        const metrics = [...upperBodyMetrics, ...fullBodyMetrics, ...optionalMetrics];
+        const { minSamples, outlierThreshold } = this.calibration.options;
+
+        // Robust z-score per metric: |x - median| / (1.4826 * MAD)
+        const stats = {};
+        metrics.forEach(metric => {
+            const values = samples.map(sample => sample[metric]).filter(value => value !== null);
+            const median = this.calculateMedian(values);
+            const mad = this.calculateMedian(values.map(value => Math.abs(value - median)));
+            stats[metric] = { median, scale: 1.4826 * mad };
+        });
+
+        const inliers = samples.filter(sample => metrics.every(metric => {
+            const { median, scale } = stats[metric];
+            if (sample[metric] === null || scale === 0) return true;
+            return Math.abs(sample[metric] - median) / scale <= outlierThreshold;
+        }));
+
+        if (inliers.length < minSamples) {
+            return null;
+        }
+
+        const baseline = {};
+        metrics.forEach(metric => {
+            const values = inliers.map(sample => sample[metric]).filter(value => value !== null);
+            // Full-body references are only kept if the hips were seen often enough
+            if (values.length >= minSamples) {
+                baseline[metric] = this.calculateMovingAverage(values);
+            }
+        });
+
+        // Where the user sits and how big they appear identify them later
+        baseline.envelope = 'subjectWidth' in baseline
+            ? { x: baseline.subjectX, y: baseline.subjectY, width: baseline.subjectWidth }
+            : null;
+        delete baseline.subjectX;
+        delete baseline.subjectY;
+        delete baseline.subjectWidth;
+
+        // Where the body sat, for the overlay's ghost of the calibrated posture
+        baseline.skeleton = this.averageSkeleton(inliers.map(sample => sample.skeleton), minSamples);
+
+        baseline.mode = fullBodyMetrics.every(metric => metric in baseline) ? 'fullBody' : 'upperBody';
+        baseline.measurementPath = this.measurementPath;
+        baseline.sampleCount = inliers.length;
+        baseline.rejectedCount = samples.length - inliers.length + this.calibration.rejectedFrames;
+        baseline.capturedAt = new Date().toISOString();
+
+        return baseline;
+    }
+
+    /**
+     * Image positions of the head, arm and torso landmarks that are clearly visible
+     * @returns {Array} { x, y } per landmark index up to the hips, null where unclear
+     */
+    extractSkeleton(landmarks, minVisibility) {
+        return landmarks.slice(0, 25).map(landmark =>
+            landmark && landmark.visibility >= minVisibility ? { x: landmark.x, y: landmark.y } : null
+        );
+    }
+
+    /**
+     * Mean position of each skeleton landmark seen in at least minSamples frames
+     */
+    averageSkeleton(skeletons, minSamples) {
+        const length = Math.max(0, ...skeletons.map(skeleton => skeleton.length));
+        return Array.from({ length }, (_, index) => {
+            const points = skeletons.map(skeleton => skeleton[index]).filter(Boolean);
+            if (points.length < minSamples) return null;
+            return {
+                x: this.calculateMovingAverage(points.map(point => point.x)),
+                y: this.calculateMovingAverage(points.map(point => point.y))
+            };
+        });
+    }
+
+    /**
+     * Calculate median
+     */
+    calculateMedian(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Use a stored baseline (e.g. loaded from settings)
+     */
+    setBaseline(baseline) {
+        this.baseline = baseline ? { ...baseline } : null;
+        this.resetSmoothing();
+    }
+
+    /**
+     * Read one calibrated reference, or the fallback when it was not captured
+     */
+    getBaselineValue(metric, fallback) {
+        // Angles from the other measurement path are not comparable
+        const path = this.baseline && (this.baseline.measurementPath || '2d');
+        if (path === this.measurementPath && typeof this.baseline[metric] === 'number') {
+            return this.baseline[metric];
+        }
+        return fallback;
+    }
+
+    /**
+     * Get the active baseline
+     */
+    getBaseline() {
+        return this.baseline ? { ...this.baseline } : null;
+    }
+
+    /**
+     * Return to absolute angle references
+     */
+    clearBaseline() {
+        this.setBaseline(null);
+    }
+
+    /**
+     * Merge a partial scoring config (bands, weights, issues) into the active one
      */
     updateThresholds(newThresholds) {
-        this.thresholds = { ...this.thresholds, ...newThresholds };
+        this.scoringConfig = ScoringConfig.merge(this.scoringConfig, newThresholds);
+    }
+
+    /**
+     * Rebuild scoring from user settings; takes effect on the next frame
+     * @param {Object} settings - DataStorage settings
+     */
+    applySettings(settings) {
+        this.scoringConfig = ScoringConfig.build(settings);
+
+        if (settings.smoothingFilter && settings.smoothingFilter !== this.smoothingConfig.type) {
+            this.setSmoothing({ type: settings.smoothingFilter });
+        }
+
+        const path = settings.measurementPath === '3d' ? '3d' : '2d';
+        if (path !== this.measurementPath) {
+            this.setMeasurementPath(path);
+        }
     }
 
     /**
      * Reset smoothing data
      */
     resetSmoothing() {
-        this.recentMeasurements = {
-            neck: [],
-            torso: [],
-            shoulders: []
-        };
+        Object.values(this.filters).forEach(filter => filter.reset());
+        this.metricOnsets = {};
+        this.componentScores = {};
     }
 }
 
+// Why a metric can be missing from every frame with the current backend
+PostureAnalysis.unavailableReasons = {
+    headForwardOffset: 'Forward head position is not measured: this pose model has no depth'
+};
+
+// Readable names for landmarks that can make a frame uncertain
+PostureAnalysis.landmarkNames = {
+    0: 'nose',
+    7: 'left ear',
+    8: 'right ear',
+    11: 'left shoulder',
+    12: 'right shoulder',
+    23: 'left hip',
+    24: 'right hip'
+};
+
+// Landmarks each joint angle is measured from
+PostureAnalysis.jointLandmarks = {
+    leftElbow: [11, 13, 15],
+    rightElbow: [12, 14, 16],
+    leftWrist: [13, 15, 19],
+    rightWrist: [14, 16, 20],
+    leftKnee: [23, 25, 27],
+    rightKnee: [24, 26, 28]
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PostureAnalysis;
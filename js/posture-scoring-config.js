@@ -0,0 +1,458 @@
+/**
+ * Posture Scoring Configuration
+ * Declarative description of how measurements turn into scores: the bands
+ * for each metric, per-band scores, component weights and issue text
+ */
+
+const PostureScoringConfig = (() => {
+    /**
+     * Base configuration (medium sensitivity, default settings).
+     *
+     * Each metric is scored by the first band whose `max` it does not exceed.
+     * A component scores 100 minus the points lost by each of its metrics and
+     * takes the worst band status among them. `measure: 'absolute'` metrics
+     * are signed deviations scored by magnitude, `issue` then picks the code
+     * by direction; `measure: 'positive'` metrics only penalise positive values.
+     */
+    const baseConfig = {
+        weights: {
+            neck: 0.4,          // Neck position is critical
+            torso: 0.35,        // Torso alignment is important
+            shoulders: 0.25,    // Shoulder position affects overall posture
+            arms: 0.15,         // Elbows and wrists, only when visible
+            legs: 0.1,          // Knees, only when visible
+            screen: 0.15,       // Viewing distance, only when it can be estimated
+            head: 0.15          // Sideways tilt and sustained rotation
+        },
+
+        // Landmark visibility needed to trust a frame. Below `uncertainBelow`
+        // mean visibility the frame is 'uncertain' and is not scored; above
+        // it each component's score is pulled towards its previous value (or
+        // `priorScore` at first) in proportion to how poorly its own
+        // landmarks are seen
+        confidence: {
+            uncertainBelow: 0.7,
+            landmarkMin: 0.7,       // landmarks below this are named in the reason
+            priorScore: 75,         // component score assumed before any frame
+            componentLandmarks: {
+                neck: [0, 7, 8],
+                torso: [11, 12, 23, 24],
+                shoulders: [11, 12],
+                arms: [13, 14, 15, 16],
+                legs: [25, 26, 27, 28],
+                screen: [2, 5],
+                head: [0, 7, 8]
+            }
+        },
+
+        // Overall status from the weighted score
+        statusBands: [
+            { min: 90, status: 'excellent' },
+            { min: 75, status: 'good' },
+            { min: 60, status: 'warning' },
+            { min: -Infinity, status: 'poor' }
+        ],
+
+        // Which metrics make up each component in each analysis mode
+        modes: {
+            fullBody: {
+                neck: ['neckAngle'],
+                torso: ['torsoAngle'],
+                shoulders: ['shoulderAsymmetry', 'shoulderProjection', 'shoulderProtraction'],
+                arms: ['elbowAngle', 'wristExtension'],
+                legs: ['kneeAngle'],
+                screen: ['viewingDistance', 'apparentSize'],
+                head: ['headRoll', 'headYaw']
+            },
+            upperBody: {
+                neck: ['headForwardOffset', 'headDrop'],
+                shoulders: ['shoulderElevation', 'shoulderAsymmetry'],
+                arms: ['elbowAngle', 'wristExtension'],
+                screen: ['viewingDistance', 'apparentSize'],
+                head: ['headRoll', 'headYaw']
+            }
+        },
+
+        // Neutral references used until the user calibrates
+        references: {
+            // The nose sits below the ear line on an upright head, so a
+            // neutral head already reads about 20-26° of pitch
+            neckAngle: 22,              // degrees of head pitch
+            worldNeckAngle: 0,          // degrees of ear-over-shoulder lean (3D path)
+            headRoll: 0,                // degrees
+            headYaw: 0,                 // degrees
+            torsoAngle: 90,             // degrees from horizontal
+            headForwardOffset: 0,       // shoulder widths
+            headDrop: 0.1,              // shoulder widths
+            earShoulderGap: 0.45,       // shoulder widths
+            // Ideal joint ranges from ergonomic_guidelines.csv, in degrees
+            elbowAngle: { min: 90, max: 110 },
+            wristExtension: { min: 0, max: 15 },
+            kneeAngle: { min: 90, max: 110 },
+            // Eye-to-screen distance in centimetres
+            viewingDistance: { min: 50, max: 70 }
+        },
+
+        // Used to estimate viewing distance before calibration
+        camera: {
+            horizontalFov: 60,          // degrees, typical laptop webcam
+            interocularCm: 6.3          // average adult pupil distance
+        },
+
+        metrics: {
+            // Sideways head tilt in degrees
+            headRoll: {
+                measure: 'absolute',
+                bands: [
+                    { max: 8, score: 100, status: 'excellent' },
+                    { max: 15, score: 85, status: 'good' },
+                    { max: 25, score: 65, status: 'warning', issue: 'HEAD_TILTED' },
+                    { max: Infinity, score: 40, status: 'poor', issue: 'HEAD_TILTED' }
+                ]
+            },
+            // Head turned left/right in degrees; glancing at a second monitor
+            // is fine, holding the head turned is not
+            headYaw: {
+                measure: 'absolute',
+                sustain: 60000,
+                bands: [
+                    { max: 15, score: 100, status: 'excellent' },
+                    { max: 30, score: 75, status: 'warning', issue: 'SUSTAINED_HEAD_ROTATION' },
+                    { max: Infinity, score: 50, status: 'poor', issue: 'SUSTAINED_HEAD_ROTATION' }
+                ]
+            },
+            // Deviation from neutral head pitch (neck flexion) in degrees
+            neckAngle: {
+                measure: 'absolute',
+                bands: [
+                    { max: 5, score: 100, status: 'excellent' },
+                    { max: 10, score: 85, status: 'good' },
+                    { max: 20, score: 60, status: 'warning',
+                        issue: { positive: 'FORWARD_HEAD', negative: 'HEAD_BACKWARD' } },
+                    { max: Infinity, score: 30, status: 'poor',
+                        issue: { positive: 'SEVERE_FORWARD_HEAD', negative: 'SEVERE_HEAD_BACKWARD' } }
+                ]
+            },
+            // Deviation from upright torso in degrees (negative is forward)
+            torsoAngle: {
+                measure: 'absolute',
+                bands: [
+                    { max: 5, score: 100, status: 'excellent' },
+                    { max: 10, score: 80, status: 'good' },
+                    { max: 20, score: 50, status: 'warning',
+                        issue: { positive: 'LEANING_BACKWARD', negative: 'LEANING_FORWARD' } },
+                    { max: Infinity, score: 20, status: 'poor',
+                        issue: { positive: 'SEVERE_BACKWARD_LEAN', negative: 'SEVERE_FORWARD_LEAN' } }
+                ]
+            },
+            // Shoulder height difference in pixels
+            shoulderAsymmetry: {
+                measure: 'positive',
+                bands: [
+                    { max: 5, score: 100, status: 'excellent' },
+                    { max: 10, score: 85, status: 'good' },
+                    { max: Infinity, score: 70, status: 'warning', issue: 'UNEVEN_SHOULDERS' }
+                ]
+            },
+            // 2D forward projection (percent trunk shortening when calibrated)
+            shoulderProjection: {
+                measure: 'positive',
+                bands: [
+                    { max: 15, score: 100, status: 'excellent' },
+                    { max: 20, score: 80, status: 'warning', issue: 'SLIGHT_SHOULDER_ROUNDING' },
+                    { max: Infinity, score: 60, status: 'poor', issue: 'ROUNDED_SHOULDERS' }
+                ]
+            },
+            // 3D shoulders ahead of the ear-to-hip line in shoulder widths
+            shoulderProtraction: {
+                measure: 'positive',
+                bands: [
+                    { max: 0.1, score: 100, status: 'excellent' },
+                    { max: 0.15, score: 80, status: 'warning', issue: 'SLIGHT_SHOULDER_ROUNDING' },
+                    { max: Infinity, score: 60, status: 'poor', issue: 'ROUNDED_SHOULDERS' }
+                ]
+            },
+            // Ears ahead of the shoulders in shoulder widths
+            headForwardOffset: {
+                measure: 'positive',
+                bands: [
+                    { max: 0.15, score: 100, status: 'excellent' },
+                    { max: 0.3, score: 85, status: 'good' },
+                    { max: 0.5, score: 70, status: 'warning', issue: 'FORWARD_HEAD' },
+                    { max: Infinity, score: 50, status: 'poor', issue: 'SEVERE_FORWARD_HEAD' }
+                ]
+            },
+            // Nose below the ear line in shoulder widths
+            headDrop: {
+                measure: 'positive',
+                bands: [
+                    { max: 0.15, score: 100, status: 'excellent' },
+                    { max: 0.3, score: 80, status: 'warning', issue: 'HEAD_DROPPED' },
+                    { max: Infinity, score: 60, status: 'poor', issue: 'HEAD_DROPPED' }
+                ]
+            },
+            // Degrees outside the ideal elbow range (negative is too bent)
+            elbowAngle: {
+                measure: 'absolute',
+                bands: [
+                    { max: 5, score: 100, status: 'excellent' },
+                    { max: 20, score: 75, status: 'warning',
+                        issue: { positive: 'ELBOWS_TOO_EXTENDED', negative: 'ELBOWS_TOO_BENT' } },
+                    { max: Infinity, score: 50, status: 'poor',
+                        issue: { positive: 'ELBOWS_TOO_EXTENDED', negative: 'ELBOWS_TOO_BENT' } }
+                ]
+            },
+            // Degrees of wrist bend beyond neutral
+            wristExtension: {
+                measure: 'positive',
+                bands: [
+                    { max: 5, score: 100, status: 'excellent' },
+                    { max: 15, score: 80, status: 'warning', issue: 'WRISTS_BENT' },
+                    { max: Infinity, score: 60, status: 'poor', issue: 'WRISTS_BENT' }
+                ]
+            },
+            // Degrees outside the ideal knee range (negative is too bent)
+            kneeAngle: {
+                measure: 'absolute',
+                bands: [
+                    { max: 5, score: 100, status: 'excellent' },
+                    { max: 20, score: 80, status: 'warning',
+                        issue: { positive: 'LEGS_EXTENDED', negative: 'KNEES_TOO_BENT' } },
+                    { max: Infinity, score: 60, status: 'poor',
+                        issue: { positive: 'LEGS_EXTENDED', negative: 'KNEES_TOO_BENT' } }
+                ]
+            },
+            // Centimetres closer than the ideal viewing distance; leaning in
+            // briefly is normal, so it only counts once sustained
+            viewingDistance: {
+                measure: 'positive',
+                sustain: 10000,
+                bands: [
+                    { max: 0, score: 100, status: 'excellent' },
+                    { max: 10, score: 75, status: 'warning', issue: 'TOO_CLOSE_TO_SCREEN' },
+                    { max: Infinity, score: 50, status: 'poor', issue: 'TOO_CLOSE_TO_SCREEN' }
+                ]
+            },
+            // Percent larger the user appears than at calibration; replaces
+            // viewingDistance once calibrated
+            apparentSize: {
+                measure: 'positive',
+                sustain: 10000,
+                bands: [
+                    { max: 15, score: 100, status: 'excellent' },
+                    { max: 30, score: 75, status: 'warning', issue: 'TOO_CLOSE_TO_SCREEN' },
+                    { max: Infinity, score: 50, status: 'poor', issue: 'TOO_CLOSE_TO_SCREEN' }
+                ]
+            },
+            // Percent the ear-to-shoulder gap has closed
+            shoulderElevation: {
+                measure: 'positive',
+                bands: [
+                    { max: 25, score: 100, status: 'excellent' },
+                    { max: 40, score: 80, status: 'warning', issue: 'SHOULDERS_RAISED' },
+                    { max: Infinity, score: 60, status: 'poor', issue: 'SHOULDERS_RAISED' }
+                ]
+            }
+        },
+
+        issues: {
+            FORWARD_HEAD: {
+                message: 'Forward head posture detected',
+                recommendation: 'Pull your chin back and align your ears over your shoulders'
+            },
+            SEVERE_FORWARD_HEAD: {
+                message: 'Severe forward head posture',
+                recommendation: 'Perform neck strengthening exercises and adjust monitor height'
+            },
+            HEAD_BACKWARD: {
+                message: 'Head tilted backward',
+                recommendation: 'Lower your chin slightly and check your screen height'
+            },
+            SEVERE_HEAD_BACKWARD: {
+                message: 'Severe backward head tilt',
+                recommendation: 'Lower your chin slightly and check your screen height'
+            },
+            LEANING_FORWARD: {
+                message: 'Leaning forward',
+                recommendation: 'Sit back in your chair and engage your core muscles'
+            },
+            SEVERE_FORWARD_LEAN: {
+                message: 'Severe forward lean',
+                recommendation: 'Take a break and practice spinal extension exercises'
+            },
+            LEANING_BACKWARD: {
+                message: 'Leaning backward',
+                recommendation: 'Engage your core and bring your torso more upright'
+            },
+            SEVERE_BACKWARD_LEAN: {
+                message: 'Severe backward lean',
+                recommendation: 'Engage your core and bring your torso more upright'
+            },
+            UNEVEN_SHOULDERS: {
+                message: 'Uneven shoulder height',
+                recommendation: 'Check your workspace setup and avoid carrying bags on one side'
+            },
+            ROUNDED_SHOULDERS: {
+                message: 'Rounded shoulders',
+                recommendation: 'Pull your shoulder blades together and stretch your chest'
+            },
+            SLIGHT_SHOULDER_ROUNDING: {
+                message: 'Slight shoulder rounding',
+                recommendation: 'Practice shoulder blade squeezes throughout the day'
+            },
+            HEAD_DROPPED: {
+                message: 'Head dropped forward',
+                recommendation: 'Raise your screen to eye level and lift your chin slightly'
+            },
+            SHOULDERS_RAISED: {
+                message: 'Shoulders raised towards ears',
+                recommendation: 'Relax your shoulders down and lower your armrests or desk'
+            },
+            ELBOWS_TOO_BENT: {
+                message: 'Elbows bent too sharply',
+                recommendation: 'Lower your keyboard or sit higher so your elbows open to 90-110°'
+            },
+            ELBOWS_TOO_EXTENDED: {
+                message: 'Reaching forward with your arms',
+                recommendation: 'Bring your keyboard and mouse closer so your elbows rest at 90-110°'
+            },
+            WRISTS_BENT: {
+                message: 'Wrists bent while typing',
+                recommendation: 'Keep your wrists straight; adjust keyboard height or use a palm rest'
+            },
+            KNEES_TOO_BENT: {
+                message: 'Knees bent too sharply',
+                recommendation: 'Raise your chair or move your feet forward so your knees sit at 90-110°'
+            },
+            LEGS_EXTENDED: {
+                message: 'Legs stretched out',
+                recommendation: 'Bring your feet back under your knees and rest them flat on the floor'
+            },
+            HEAD_TILTED: {
+                message: 'Head tilted to one side',
+                recommendation: 'Level your head and check that your screen is centred in front of you'
+            },
+            SUSTAINED_HEAD_ROTATION: {
+                message: 'Sustained head rotation',
+                recommendation: 'Turn your chair or move the monitor you use most directly in front of you'
+            },
+            TOO_CLOSE_TO_SCREEN: {
+                message: 'Too close to the monitor',
+                recommendation: 'Sit back so the screen is about an arm\'s length (50-70 cm) away'
+            },
+            NOT_DETECTED: {
+                message: 'Unable to detect posture',
+                recommendation: 'Ensure you are visible to the camera'
+            },
+            SUBJECT_LOST: {
+                message: 'Subject lost',
+                recommendation: 'Return to your usual position, or recalibrate if you have moved your seat'
+            },
+            LOW_CONFIDENCE: {
+                message: 'Posture uncertain',
+                recommendation: 'Improve the lighting or adjust the camera so your head and shoulders are clearly in view'
+            }
+        },
+
+        defaultRecommendation: 'Maintain good posture awareness'
+    };
+
+    /**
+     * Sensitivity presets scale every finite band edge: lower sensitivity
+     * tolerates larger deviations before losing points
+     */
+    const sensitivityPresets = {
+        low: { bandScale: 1.5 },
+        medium: { bandScale: 1 },
+        high: { bandScale: 0.7 }
+    };
+
+    // Setting values that produce the base config unchanged
+    const defaultNeckThreshold = 15;
+    const defaultTorsoHalfRange = 5;
+
+    /**
+     * Deep copy that keeps Infinity band edges intact
+     */
+    function cloneConfig(config) {
+        if (Array.isArray(config)) return config.map(cloneConfig);
+        if (config && typeof config === 'object') {
+            return Object.keys(config).reduce((copy, key) => {
+                copy[key] = cloneConfig(config[key]);
+                return copy;
+            }, {});
+        }
+        return config;
+    }
+
+    /**
+     * Multiply the finite band edges of one metric
+     */
+    function scaleBands(metric, factor) {
+        metric.bands.forEach(band => {
+            if (Number.isFinite(band.max)) {
+                band.max *= factor;
+            }
+        });
+    }
+
+    /**
+     * Build the effective scoring config from user settings
+     * @param {Object} settings - DataStorage settings (neckThreshold,
+     *     torsoThresholdMin/Max, sensitivityLevel)
+     * @param {Object} overrides - Optional partial config merged on top
+     * @returns {Object} Scoring config for PostureAnalysis
+     */
+    function build(settings = {}, overrides = {}) {
+        const config = cloneConfig(baseConfig);
+
+        // Neck threshold is the centre of the warning band (10°–20° at 15°)
+        if (typeof settings.neckThreshold === 'number' && settings.neckThreshold > 0) {
+            scaleBands(config.metrics.neckAngle, settings.neckThreshold / defaultNeckThreshold);
+        }
+
+        // Torso min/max define the excellent range around an upright reference
+        if (typeof settings.torsoThresholdMin === 'number' && typeof settings.torsoThresholdMax === 'number' &&
+            settings.torsoThresholdMax > settings.torsoThresholdMin) {
+            const halfRange = (settings.torsoThresholdMax - settings.torsoThresholdMin) / 2;
+            config.references.torsoAngle = (settings.torsoThresholdMax + settings.torsoThresholdMin) / 2;
+            scaleBands(config.metrics.torsoAngle, halfRange / defaultTorsoHalfRange);
+        }
+
+        const preset = sensitivityPresets[settings.sensitivityLevel] || sensitivityPresets.medium;
+        Object.values(config.metrics).forEach(metric => scaleBands(metric, preset.bandScale));
+
+        return merge(config, overrides);
+    }
+
+    /**
+     * Merge a partial config; arrays (bands) are replaced rather than merged
+     */
+    function merge(target, source) {
+        Object.keys(source || {}).forEach(key => {
+            const value = source[key];
+            if (value && typeof value === 'object' && !Array.isArray(value) &&
+                target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+                merge(target[key], value);
+            } else {
+                target[key] = cloneConfig(value);
+            }
+        });
+        return target;
+    }
+
+    return {
+        baseConfig,
+        sensitivityPresets,
+        build,
+        merge,
+        clone: cloneConfig
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PostureScoringConfig;
+} else {
+    self.PostureScoringConfig = PostureScoringConfig;
+}
@@ -0,0 +1,272 @@
+/**
+ * Posture State Machine Module
+ * Turns per-frame posture assessments into stable states and discrete
+ * bad-posture events using dwell time and hysteresis
+ */
+
+class PostureStateMachine {
+    constructor(options = {}) {
+        this.config = {
+            poorThreshold: 60,       // score below which a frame counts as poor
+            recoveryThreshold: 75,   // score required to leave a poor event
+            dwellTime: 10000,        // ms of poor frames before an event starts
+            recoveryTime: 2000,      // ms of recovered frames before it ends
+            maxFrameGap: 2000        // longer gaps are not counted as monitored time
+        };
+
+        this.severityOrder = ['excellent', 'good', 'warning', 'poor'];
+
+        // Callbacks for discrete events
+        this.onEventStart = null;
+        this.onEventEnd = null;
+
+        this.updateConfig(options);
+        this.reset();
+    }
+
+    /**
+     * Update thresholds and timings
+     * @param {Object} newConfig - Partial configuration
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+
+    /**
+     * Clear all state and accumulated statistics
+     */
+    reset() {
+        // 'unknown' -> 'good' <-> 'degrading' -> 'poor' <-> 'recovering' -> 'good'
+        this.state = 'unknown';
+        this.pendingSince = null;
+        this.activeEvent = null;
+        this.events = [];
+        this.nextEventId = 1;
+        this.lastTimestamp = null;
+        this.lastFrameTime = null;
+
+        this.stats = {
+            monitoredTime: 0,
+            poorTime: 0,
+            scoreIntegral: 0
+        };
+    }
+
+    /**
+     * Feed one posture assessment from PostureAnalysis.analyzePose
+     * @param {Object} postureState - { status, score, issues, timestamp }
+     * @param {number} [timestamp] - Frame time in ms, postureState.timestamp by default
+     * @returns {Object} { state, event } where event is a started/ended event or null
+     */
+    update(postureState, timestamp) {
+        // Frames without a usable assessment neither change state nor count
+        if (!postureState || postureState.status === 'unknown' || postureState.status === 'uncertain') {
+            this.lastTimestamp = null;
+            return { state: this.state, event: null };
+        }
+        if (timestamp === undefined) {
+            timestamp = postureState.timestamp;
+        }
+
+        this.accumulateTime(postureState, timestamp);
+
+        const score = postureState.score;
+        let transition = null;
+
+        switch (this.state) {
+        case 'unknown':
+        case 'good':
+            this.state = 'good';
+            if (score < this.config.poorThreshold) {
+                this.state = 'degrading';
+                this.pendingSince = timestamp;
+            }
+            break;
+
+        case 'degrading':
+            if (score >= this.config.poorThreshold) {
+                this.state = 'good';
+                this.pendingSince = null;
+            } else if (timestamp - this.pendingSince >= this.config.dwellTime) {
+                transition = this.startEvent(this.pendingSince, timestamp, postureState);
+            }
+            break;
+
+        case 'poor':
+            if (score >= this.config.recoveryThreshold) {
+                this.state = 'recovering';
+                this.pendingSince = timestamp;
+            }
+            break;
+
+        case 'recovering':
+            if (score < this.config.recoveryThreshold) {
+                this.state = 'poor';
+                this.pendingSince = null;
+            } else if (timestamp - this.pendingSince >= this.config.recoveryTime) {
+                transition = this.endEvent(this.pendingSince);
+            }
+            break;
+        }
+
+        if (this.activeEvent && this.state !== 'recovering') {
+            this.trackEvent(postureState);
+        }
+
+        return { state: this.state, event: transition };
+    }
+
+    /**
+     * Add the time since the previous frame to the statistics
+     */
+    accumulateTime(postureState, timestamp) {
+        if (this.lastTimestamp !== null) {
+            const elapsed = timestamp - this.lastTimestamp;
+            if (elapsed > 0 && elapsed <= this.config.maxFrameGap) {
+                this.stats.monitoredTime += elapsed;
+                this.stats.scoreIntegral += postureState.score * elapsed;
+                if (this.activeEvent) {
+                    this.stats.poorTime += elapsed;
+                }
+            }
+        }
+        this.lastTimestamp = timestamp;
+        this.lastFrameTime = timestamp;
+    }
+
+    /**
+     * Open a bad-posture event; the dwell period counts as part of it
+     */
+    startEvent(startTime, timestamp, postureState) {
+        this.state = 'poor';
+        this.pendingSince = null;
+        this.activeEvent = {
+            id: this.nextEventId++,
+            start: startTime,
+            end: null,
+            duration: 0,
+            peakSeverity: { score: 100, status: 'excellent' },
+            issues: []
+        };
+
+        // Time spent dwelling was good time until now
+        this.stats.poorTime += timestamp - startTime;
+        this.trackEvent(postureState);
+
+        const event = this.copyEvent('start', this.activeEvent);
+        if (this.onEventStart) {
+            this.onEventStart(event);
+        }
+        return event;
+    }
+
+    /**
+     * Close the active event at the moment posture recovered
+     */
+    endEvent(endTime) {
+        const event = this.activeEvent;
+        event.end = endTime;
+        event.duration = endTime - event.start;
+
+        // The recovery period is good time, not part of the event
+        this.stats.poorTime -= Math.max(0, this.lastFrameTime - endTime);
+
+        this.events.push(event);
+        this.activeEvent = null;
+        this.state = 'good';
+        this.pendingSince = null;
+
+        const ended = this.copyEvent('end', event);
+        if (this.onEventEnd) {
+            this.onEventEnd(ended);
+        }
+        return ended;
+    }
+
+    /**
+     * Snapshot an event so callers cannot mutate the tracked one
+     */
+    copyEvent(type, event) {
+        return {
+            type: type,
+            ...event,
+            peakSeverity: { ...event.peakSeverity },
+            issues: [...event.issues]
+        };
+    }
+
+    /**
+     * Record peak severity and issues for the active event
+     */
+    trackEvent(postureState) {
+        const event = this.activeEvent;
+
+        if (postureState.score < event.peakSeverity.score) {
+            event.peakSeverity.score = postureState.score;
+        }
+        if (this.severityOrder.indexOf(postureState.status) > this.severityOrder.indexOf(event.peakSeverity.status)) {
+            event.peakSeverity.status = postureState.status;
+        }
+
+        (postureState.issues || []).forEach(issue => {
+            if (!event.issues.includes(issue)) {
+                event.issues.push(issue);
+            }
+        });
+    }
+
+    /**
+     * Close any open event, e.g. when the session stops
+     * @param {number} timestamp - Time the session ended
+     * @returns {Object|null} The ended event, if one was open
+     */
+    finish(timestamp = this.lastFrameTime) {
+        if (!this.activeEvent) return null;
+        const endTime = this.state === 'recovering' ? this.pendingSince : timestamp;
+        return this.endEvent(endTime);
+    }
+
+    /**
+     * Check whether a bad-posture event is in progress
+     */
+    isInEvent() {
+        return this.activeEvent !== null;
+    }
+
+    /**
+     * Get completed events
+     */
+    getEvents() {
+        return this.events.map(event => ({
+            ...event,
+            peakSeverity: { ...event.peakSeverity },
+            issues: [...event.issues]
+        }));
+    }
+
+    /**
+     * Get event-driven statistics (times in ms)
+     */
+    getStats() {
+        const { monitoredTime, poorTime, scoreIntegral } = this.stats;
+        return {
+            monitoredTime: monitoredTime,
+            poorPostureTime: poorTime,
+            goodPostureTime: Math.max(0, monitoredTime - poorTime),
+            averageScore: monitoredTime > 0 ? scoreIntegral / monitoredTime : 0,
+            eventCount: this.events.length + (this.activeEvent ? 1 : 0)
+        };
+    }
+
+    /**
+     * Get the current state name
+     */
+    getState() {
+        return this.state;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PostureStateMachine;
+}
@@ -0,0 +1,161 @@
+/**
+ * Smoothing Filters Module
+ * Interchangeable per-metric filters for noisy pose measurements. Every
+ * filter takes (value, timestamp, confidence) and returns the smoothed value;
+ * low-confidence samples move the output less than confident ones.
+ */
+
+/**
+ * Confidence-weighted moving average over the last `window` samples
+ */
+class MovingAverageFilter {
+    constructor(options = {}) {
+        this.window = options.window || 10;
+        this.reset();
+    }
+
+    filter(value, timestamp, confidence = 1) {
+        this.samples.push({ value, weight: Math.max(confidence, 0.01) });
+        if (this.samples.length > this.window) {
+            this.samples.shift();
+        }
+
+        const totalWeight = this.samples.reduce((sum, sample) => sum + sample.weight, 0);
+        return this.samples.reduce((sum, sample) => sum + sample.value * sample.weight, 0) / totalWeight;
+    }
+
+    reset() {
+        this.samples = [];
+    }
+}
+
+/**
+ * One Euro filter (Casiez et al., CHI 2012): an exponential filter whose
+ * cutoff rises with speed, so it is smooth when still and responsive when
+ * moving. Confidence scales the per-sample blend factor.
+ */
+class OneEuroFilter {
+    constructor(options = {}) {
+        this.minCutoff = options.minCutoff !== undefined ? options.minCutoff : 1.0;   // Hz
+        this.beta = options.beta !== undefined ? options.beta : 0.05;                // speed coefficient
+        this.derivativeCutoff = options.derivativeCutoff !== undefined ? options.derivativeCutoff : 1.0; // Hz
+        this.reset();
+    }
+
+    alpha(cutoff, elapsed) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / elapsed);
+    }
+
+    filter(value, timestamp, confidence = 1) {
+        if (this.lastValue === null) {
+            this.lastValue = value;
+            this.lastDerivative = 0;
+            this.lastTimestamp = timestamp;
+            return value;
+        }
+
+        // Assume 30 fps when frames arrive without usable timestamps
+        const elapsed = timestamp > this.lastTimestamp ? (timestamp - this.lastTimestamp) / 1000 : 1 / 30;
+        this.lastTimestamp = timestamp;
+        const weight = Math.max(0, Math.min(1, confidence));
+
+        const derivative = (value - this.lastValue) / elapsed;
+        const derivativeAlpha = this.alpha(this.derivativeCutoff, elapsed) * weight;
+        this.lastDerivative += derivativeAlpha * (derivative - this.lastDerivative);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.lastDerivative);
+        const valueAlpha = this.alpha(cutoff, elapsed) * weight;
+        this.lastValue += valueAlpha * (value - this.lastValue);
+
+        return this.lastValue;
+    }
+
+    reset() {
+        this.lastValue = null;
+        this.lastDerivative = 0;
+        this.lastTimestamp = null;
+    }
+}
+
+/**
+ * Constant-velocity Kalman filter over [value, rate]. Measurement noise is
+ * divided by confidence so uncertain samples are trusted less.
+ */
+class KalmanFilter {
+    constructor(options = {}) {
+        this.processNoise = options.processNoise !== undefined ? options.processNoise : 1;          // units²/s³
+        this.measurementNoise = options.measurementNoise !== undefined ? options.measurementNoise : 4; // units²
+        this.reset();
+    }
+
+    filter(value, timestamp, confidence = 1) {
+        if (this.state === null) {
+            this.state = [value, 0];
+            this.covariance = [[this.measurementNoise, 0], [0, this.measurementNoise]];
+            this.lastTimestamp = timestamp;
+            return value;
+        }
+
+        const dt = timestamp > this.lastTimestamp ? (timestamp - this.lastTimestamp) / 1000 : 1 / 30;
+        this.lastTimestamp = timestamp;
+
+        // Predict: x = F x, P = F P Fᵀ + Q (white-noise acceleration)
+        const [position, velocity] = this.state;
+        const [[p00, p01], [p10, p11]] = this.covariance;
+        const q = this.processNoise;
+        const predicted = [position + velocity * dt, velocity];
+        const a00 = p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt * dt * dt / 3;
+        const a01 = p01 + dt * p11 + q * dt * dt / 2;
+        const a10 = p10 + dt * p11 + q * dt * dt / 2;
+        const a11 = p11 + q * dt;
+
+        // Update with the measurement of position only
+        const r = this.measurementNoise / Math.max(confidence, 0.01);
+        const innovation = value - predicted[0];
+        const s = a00 + r;
+        const k0 = a00 / s;
+        const k1 = a10 / s;
+
+        this.state = [predicted[0] + k0 * innovation, predicted[1] + k1 * innovation];
+        this.covariance = [
+            [(1 - k0) * a00, (1 - k0) * a01],
+            [a10 - k1 * a00, a11 - k1 * a01]
+        ];
+
+        return this.state[0];
+    }
+
+    reset() {
+        this.state = null;
+        this.covariance = null;
+        this.lastTimestamp = null;
+    }
+}
+
+const SmoothingFilters = {
+    MovingAverageFilter,
+    OneEuroFilter,
+    KalmanFilter,
+
+    types: {
+        movingAverage: MovingAverageFilter,
+        oneEuro: OneEuroFilter,
+        kalman: KalmanFilter
+    },
+
+    /**
+     * Create a filter from a spec such as { type: 'oneEuro', beta: 0.1 }
+     */
+    create(spec = {}) {
+        const FilterClass = SmoothingFilters.types[spec.type] || OneEuroFilter;
+        return new FilterClass(spec);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SmoothingFilters;
+} else {
+    self.SmoothingFilters = SmoothingFilters;
+}
@@ -0,0 +1,153 @@
+/**
+ * Subject Tracker Module
+ * Locks monitoring onto the primary user. Their calibrated position and body
+ * size form an identity envelope; detections outside it (a colleague walking
+ * behind the camera) are reported as "subject lost" instead of being scored,
+ * unless that one person stays in view long enough to take over the lock
+ */
+
+class SubjectTracker {
+    constructor(options = {}) {
+        this.config = {
+            positionTolerance: 0.75,   // shoulder widths the user may drift from the envelope
+            sizeTolerance: 0.3,        // allowed relative change in shoulder width
+            adaptTime: 60000,          // ms time constant for following slow drift
+            relockAfter: 30000         // ms one other person must match steadily before the lock moves to them
+        };
+
+        this.updateConfig(options);
+        this.setEnvelope(null);
+    }
+
+    /**
+     * Update tolerances and timings
+     * @param {Object} newConfig - Partial configuration
+     */
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+
+    /**
+     * Use a calibrated envelope, or null to lock onto the first person seen
+     * @param {Object|null} envelope - { x, y, width } in normalized image units
+     */
+    setEnvelope(envelope) {
+        this.calibrated = Boolean(envelope);
+        this.envelope = envelope ? { ...envelope } : null;
+        this.reset();
+    }
+
+    /**
+     * Forget tracking state; an uncalibrated lock is released
+     */
+    reset() {
+        if (!this.calibrated) {
+            this.envelope = null;
+        }
+        this.status = 'none';
+        this.lostSince = null;
+        this.lastTimestamp = null;
+        this.candidate = null;
+    }
+
+    /**
+     * Check one detection against the envelope
+     * @param {Object|null} subject - PostureAnalysis.measureSubject() result
+     * @param {number} timestamp - Frame time in ms
+     * @returns {Object} { status: 'tracking'|'lost'|'none', matched, relocked }
+     */
+    update(subject, timestamp = Date.now()) {
+        if (!subject) {
+            this.status = 'none';
+            this.lastTimestamp = timestamp;
+            return { status: this.status, matched: false, relocked: false };
+        }
+
+        // Without calibration, the first person seen becomes the user
+        if (!this.envelope) {
+            this.envelope = { x: subject.x, y: subject.y, width: subject.width };
+            this.lostSince = null;
+        }
+
+        let relocked = false;
+        let matched = this.matches(subject);
+        if (!matched && this.followCandidate(subject, timestamp)) {
+            // The user moved for good (or someone else took the seat): the
+            // lock moves to the one person who has stayed in view since
+            this.envelope = { ...this.candidate.envelope };
+            relocked = true;
+            matched = true;
+        }
+
+        if (matched) {
+            this.follow(subject, timestamp);
+            this.lostSince = null;
+            this.candidate = null;
+            this.status = 'tracking';
+        } else {
+            if (this.lostSince === null) {
+                this.lostSince = timestamp;
+            }
+            this.status = 'lost';
+        }
+
+        this.lastTimestamp = timestamp;
+        return { status: this.status, matched, relocked };
+    }
+
+    /**
+     * Track an unmatched detection as a possible new lock
+     * @returns {boolean} Whether it has matched steadily for relockAfter
+     */
+    followCandidate(subject, timestamp) {
+        if (!this.candidate || !this.matches(subject, this.candidate.envelope)) {
+            this.candidate = {
+                envelope: { x: subject.x, y: subject.y, width: subject.width },
+                since: timestamp
+            };
+            return false;
+        }
+
+        const envelope = this.candidate.envelope;
+        envelope.x = (envelope.x + subject.x) / 2;
+        envelope.y = (envelope.y + subject.y) / 2;
+        envelope.width = (envelope.width + subject.width) / 2;
+        return timestamp - this.candidate.since >= this.config.relockAfter;
+    }
+
+    /**
+     * Whether a detection has the user's position and size
+     */
+    matches(subject, envelope = this.envelope) {
+        const offset = Math.hypot(subject.x - envelope.x, subject.y - envelope.y) / envelope.width;
+        const sizeRatio = subject.width / envelope.width;
+
+        return offset <= this.config.positionTolerance &&
+            Math.abs(sizeRatio - 1) <= this.config.sizeTolerance;
+    }
+
+    /**
+     * Let the envelope follow slow changes such as moving the chair
+     */
+    follow(subject, timestamp) {
+        const elapsed = this.lastTimestamp === null ? 0 : timestamp - this.lastTimestamp;
+        if (elapsed <= 0) return;
+
+        const alpha = 1 - Math.exp(-elapsed / this.config.adaptTime);
+        this.envelope.x += alpha * (subject.x - this.envelope.x);
+        this.envelope.y += alpha * (subject.y - this.envelope.y);
+        this.envelope.width += alpha * (subject.width - this.envelope.width);
+    }
+
+    /**
+     * Get the current envelope
+     */
+    getEnvelope() {
+        return this.envelope ? { ...this.envelope } : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubjectTracker;
+}
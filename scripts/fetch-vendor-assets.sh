@@ -0,0 +1,57 @@
+#!/bin/sh
+# Download the third-party libraries and pose models into vendor/ so the app
+# runs from its own origin with no CDN access (see PWA_SETUP.md).
+# Requires npm and curl. Re-run after changing any version below.
+set -e
+
+cd "$(dirname "$0")/.."
+VENDOR=vendor
+TMP=$(mktemp -d)
+trap 'rm -rf "$TMP"' EXIT
+
+# fetch_package <package@version> <destination> <file in package>...
+fetch_package() {
+    package=$1
+    destination=$2
+    shift 2
+
+    tarball=$(cd "$TMP" && npm pack --silent "$package")
+    mkdir -p "$TMP/extract" "$destination"
+    tar -xzf "$TMP/$tarball" -C "$TMP/extract"
+    for file in "$@"; do
+        cp "$TMP/extract/package/$file" "$destination/"
+    done
+    rm -rf "$TMP/extract" "$TMP/$tarball"
+    echo "Fetched $package"
+}
+
+# fetch_tfhub_model <tfhub model path> <destination>
+fetch_tfhub_model() {
+    base="https://tfhub.dev/$1"
+    destination=$2
+    mkdir -p "$destination"
+
+    curl -sSfL "$base/model.json?tfjs-format=file" -o "$destination/model.json"
+    for shard in $(grep -o 'group[0-9]*-shard[0-9]*of[0-9]*\.bin' "$destination/model.json" | sort -u); do
+        curl -sSfL "$base/$shard?tfjs-format=file" -o "$destination/$shard"
+    done
+    echo "Fetched $1"
+}
+
+fetch_package @mediapipe/pose@0.5.1675469404 "$VENDOR/mediapipe/pose" \
+    pose.js pose_web.binarypb \
+    pose_landmark_lite.tflite pose_landmark_full.tflite pose_landmark_heavy.tflite \
+    pose_solution_packed_assets_loader.js pose_solution_packed_assets.data \
+    pose_solution_simd_wasm_bin.js pose_solution_simd_wasm_bin.wasm \
+    pose_solution_wasm_bin.js pose_solution_wasm_bin.wasm
+fetch_package @mediapipe/control_utils@0.6.1675466023 "$VENDOR/mediapipe/control_utils" control_utils.js
+fetch_package @mediapipe/drawing_utils@0.3.1675466124 "$VENDOR/mediapipe/drawing_utils" drawing_utils.js
+fetch_package chart.js@4.5.1 "$VENDOR/chart.js" dist/chart.umd.min.js
+
+# MoveNet backend (optional, loaded only when selected in settings)
+fetch_package @tensorflow/tfjs-core@4.22.0 "$VENDOR/tfjs" dist/tf-core.min.js
+fetch_package @tensorflow/tfjs-converter@4.22.0 "$VENDOR/tfjs" dist/tf-converter.min.js
+fetch_package @tensorflow/tfjs-backend-webgl@4.22.0 "$VENDOR/tfjs" dist/tf-backend-webgl.min.js
+fetch_package @tensorflow-models/pose-detection@2.1.3 "$VENDOR/tfjs" dist/pose-detection.min.js
+fetch_tfhub_model google/tfjs-model/movenet/singlepose/lightning/4 "$VENDOR/movenet/lightning"
+fetch_tfhub_model google/tfjs-model/movenet/singlepose/thunder/4 "$VENDOR/movenet/thunder"
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Replay a landmark trace through PostureAnalysis and PostureStateMachine
+ * without a browser, printing the per-frame scores and the posture events
+ * as JSON. Frames are analysed at their recorded timestamps, so the output
+ * is deterministic: save it for a recorded sitting and diff it after any
+ * scoring change.
+ *
+ * Usage:
+ *   node scripts/replay-trace.js <trace.jsonl> [--settings settings.json] [--summary]
+ *
+ *   --settings  JSON app settings to use instead of those recorded in the trace
+ *   --summary   leave out the per-frame scores
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LandmarkTrace = require('../js/landmark-trace.js');
+const PostureAnalysis = require('../js/posture-analysis.js');
+const PostureStateMachine = require('../js/posture-state-machine.js');
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+    const options = { tracePath: null, settingsPath: null, summary: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--settings') {
+            options.settingsPath = argv[++i];
+        } else if (argv[i] === '--summary') {
+            options.summary = true;
+        } else {
+            options.tracePath = argv[i];
+        }
+    }
+    return options;
+}
+
+/**
+ * Analyse every frame of a trace
+ * @param {Object} trace - LandmarkTrace.parse() result
+ * @param {Object|null} settings - App settings, null for the recorded ones
+ * @returns {Object} { frames, events, stats }
+ */
+function replay(trace, settings = null) {
+    const recorded = trace.header.analysis || {};
+    const appSettings = settings || recorded.settings || {};
+
+    const analysis = new PostureAnalysis();
+    analysis.applySettings(appSettings);
+    analysis.setBaseline(recorded.baseline || null);
+
+    // Same mapping as PostureGuardian.applySettings
+    const stateMachine = new PostureStateMachine();
+    const stateConfig = {};
+    if (appSettings.poorScoreThreshold !== undefined) stateConfig.poorThreshold = appSettings.poorScoreThreshold;
+    if (appSettings.recoveryScoreThreshold !== undefined) stateConfig.recoveryThreshold = appSettings.recoveryScoreThreshold;
+    if (appSettings.postureDwellTime !== undefined) stateConfig.dwellTime = appSettings.postureDwellTime * 1000;
+    stateMachine.updateConfig(stateConfig);
+
+    const frames = [];
+    trace.frames.forEach(frame => {
+        if (!frame.landmarks) return;
+
+        const state = analysis.analyzePose(frame.landmarks, frame.imageSize, frame.worldLandmarks, frame.timestamp);
+        stateMachine.update(state, frame.timestamp);
+        frames.push({
+            timestamp: frame.timestamp,
+            score: state.score,
+            status: state.status,
+            issues: state.issueCodes || []
+        });
+    });
+    stateMachine.finish();
+
+    return {
+        frames: frames,
+        events: stateMachine.getEvents(),
+        stats: stateMachine.getStats()
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.tracePath) {
+        console.error('Usage: node scripts/replay-trace.js <trace.jsonl> [--settings settings.json] [--summary]');
+        process.exit(1);
+    }
+
+    const trace = LandmarkTrace.parse(fs.readFileSync(options.tracePath, 'utf8'));
+    const settings = options.settingsPath
+        ? JSON.parse(fs.readFileSync(options.settingsPath, 'utf8'))
+        : null;
+
+    const result = replay(trace, settings);
+    const output = {
+        trace: path.basename(options.tracePath),
+        version: trace.header.version,
+        backend: trace.header.backend,
+        frameCount: trace.frames.length,
+        ...result
+    };
+    if (options.summary) {
+        delete output.frames;
+    }
+    console.log(JSON.stringify(output, null, 2));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { replay };
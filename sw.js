@@ -1,5 +1,5 @@
 // Service Worker for Posture Guardian PWA
-const CACHE_NAME = 'posture-guardian-v1';
+const CACHE_NAME = 'posture-guardian-v34';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -7,18 +7,65 @@ const urlsToCache = [
   '/app.js',
   '/js/audio-feedback.js',
   '/js/data-storage.js',
+  '/js/keypoint-mapping.js',
+  '/js/pose-backends.js',
+  '/js/pose-overlay.js',
+  '/js/pose-pipeline.js',
+  '/js/pose-worker.js',
+  '/js/frame-rate-governor.js',
+  '/js/landmark-trace.js',
+  '/js/frame-sources.js',
   '/js/pose-detection.js',
+  '/js/mini-view.js',
+  '/js/posture-scoring-config.js',
+  '/js/smoothing-filters.js',
   '/js/posture-analysis.js',
+  '/js/posture-state-machine.js',
+  '/js/activity-tracker.js',
+  '/js/subject-tracker.js',
+  '/js/exercise-library.js',
+  '/js/exercise-coach.js',
   '/manifest.json'
 ];
 
+// Self-hosted libraries and the default pose model (scripts/fetch-vendor-assets.sh).
+// Cached one by one so a missing vendor/ does not abort the install; the app
+// then loads these from the CDN, which is cached as it is used.
+const vendorUrlsToCache = [
+  '/vendor/mediapipe/control_utils/control_utils.js',
+  '/vendor/mediapipe/drawing_utils/drawing_utils.js',
+  '/vendor/mediapipe/pose/pose.js',
+  '/vendor/mediapipe/pose/pose_web.binarypb',
+  '/vendor/mediapipe/pose/pose_landmark_full.tflite',
+  '/vendor/mediapipe/pose/pose_solution_packed_assets_loader.js',
+  '/vendor/mediapipe/pose/pose_solution_packed_assets.data',
+  '/vendor/mediapipe/pose/pose_solution_simd_wasm_bin.js',
+  '/vendor/mediapipe/pose/pose_solution_simd_wasm_bin.wasm',
+  '/vendor/mediapipe/pose/pose_solution_wasm_bin.js',
+  '/vendor/mediapipe/pose/pose_solution_wasm_bin.wasm',
+  '/vendor/chart.js/chart.umd.min.js'
+];
+
+// Where the app loads libraries and models from when vendor/ is missing
+const cdnOrigins = ['https://cdn.jsdelivr.net', 'https://tfhub.dev', 'https://storage.googleapis.com'];
+
 // Install event
 self.addEventListener('install', event => {
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then(cache => {
         console.log('Opened cache');
-        return cache.addAll(urlsToCache);
+        const vendorFiles = vendorUrlsToCache.map(url =>
+          cache.add(url).then(() => null, () => url)
+        );
+        return Promise.all([cache.addAll(urlsToCache), Promise.all(vendorFiles)])
+          .then(([, results]) => {
+            const missing = results.filter(Boolean);
+            if (missing.length > 0) {
+              console.warn(`${missing.length} vendor/ files missing, using the CDN instead ` +
+                '(run scripts/fetch-vendor-assets.sh to self-host):', missing);
+            }
+          });
       })
   );
 });
@@ -29,12 +76,39 @@ self.addEventListener('fetch', event => {
     caches.match(event.request)
       .then(response => {
         // Return cached version or fetch from network
-        return response || fetch(event.request);
+        return response || fetch(event.request).then(networkResponse => {
+          // Keep model files fetched on demand (other model sizes, MoveNet)
+          // and the CDN copies used when vendor/ is missing
+          const url = new URL(event.request.url);
+          const isVendor = url.origin === self.location.origin && url.pathname.startsWith('/vendor/');
+          const isCdn = cdnOrigins.includes(url.origin);
+          // Worker importScripts() fetches cross-origin scripts without CORS,
+          // so CDN responses may be opaque; those are kept too
+          const usable = networkResponse.ok || (isCdn && networkResponse.type === 'opaque');
+          if (event.request.method === 'GET' && usable && (isVendor || isCdn)) {
+            const copy = networkResponse.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+          }
+          return networkResponse;
+        });
       }
     )
   );
 });
 
+// Focus the app when a posture or break notification is clicked
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clientList => {
+      if (clientList.length > 0) {
+        return clientList[0].focus();
+      }
+      return self.clients.openWindow('/');
+    })
+  );
+});
+
 // Activate event
 self.addEventListener('activate', event => {
   event.waitUntil(
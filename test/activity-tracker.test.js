@@ -0,0 +1,24 @@
+/**
+ * ActivityTracker timing checks. Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ActivityTracker = require('../js/activity-tracker.js');
+
+function seatedLandmarks() {
+    const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.4, visibility: 0.99 }));
+    landmarks[11] = { x: 0.65, y: 0.5, visibility: 0.99 };
+    landmarks[12] = { x: 0.35, y: 0.5, visibility: 0.99 };
+    return landmarks;
+}
+
+test('sedentary time runs from the first frame on the frame clock', () => {
+    const tracker = new ActivityTracker();
+    tracker.reset();
+
+    // Media time of a video seeked to two minutes in
+    assert.strictEqual(tracker.update(seatedLandmarks(), 120000).sedentaryTime, 0);
+    assert.strictEqual(tracker.update(seatedLandmarks(), 125000).sedentaryTime, 5000);
+});
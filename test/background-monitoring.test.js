@@ -0,0 +1,61 @@
+/**
+ * Background monitoring checks: frames 1-2 s apart, as a hidden tab
+ * delivers them, still count as continuous monitoring.
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const FrameRateGovernor = require('../js/frame-rate-governor.js');
+const PostureStateMachine = require('../js/posture-state-machine.js');
+const ActivityTracker = require('../js/activity-tracker.js');
+
+// Hidden-tab timer clamping plus the 1 fps gate: frames 1-2 s apart
+const GAPS = [1000, 1500, 2000, 2100, 1200, 2000];
+
+function backgroundFrameGap() {
+    const governor = new FrameRateGovernor();
+    governor.setBackground(true);
+    return governor.getMaxFrameGap();
+}
+
+function frameTimes() {
+    const times = [0];
+    GAPS.forEach(gap => times.push(times[times.length - 1] + gap));
+    return times;
+}
+
+test('the background frame gap covers a skipped hidden-tab poll', () => {
+    assert.ok(backgroundFrameGap() > 2000);
+});
+
+test('monitored time accumulates across 1-2 s frame gaps', () => {
+    const stateMachine = new PostureStateMachine({ maxFrameGap: backgroundFrameGap() });
+    frameTimes().forEach(timestamp => {
+        stateMachine.update({ status: 'good', score: 90, issues: [], timestamp });
+    });
+
+    const total = GAPS.reduce((sum, gap) => sum + gap, 0);
+    assert.strictEqual(stateMachine.stats.monitoredTime, total);
+    assert.strictEqual(stateMachine.stats.scoreIntegral, 90 * total);
+});
+
+test('the motion estimate carries across 1-2 s frame gaps', () => {
+    const tracker = new ActivityTracker({ maxFrameGap: backgroundFrameGap() });
+    const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.4, visibility: 0.99 }));
+    landmarks[11] = { x: 0.65, y: 0.5, visibility: 0.99 };
+    landmarks[12] = { x: 0.35, y: 0.5, visibility: 0.99 };
+
+    const times = frameTimes();
+    tracker.reset(times[0]);
+    times.forEach((timestamp, index) => {
+        // The wrists swing between frames
+        const shift = index % 2 ? 0.1 : -0.1;
+        landmarks[15] = { x: 0.7 + shift, y: 0.7, visibility: 0.99 };
+        landmarks[16] = { x: 0.3 + shift, y: 0.7, visibility: 0.99 };
+        tracker.update(landmarks.map(landmark => ({ ...landmark })), timestamp);
+    });
+
+    assert.ok(tracker.motionEnergy > 0, 'motion was measured between frames');
+});
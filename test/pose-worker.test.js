@@ -0,0 +1,113 @@
+/**
+ * Privacy checks for what the pose worker posts back to the page.
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// Stands in for the browser's ImageBitmap
+class FakeImageBitmap {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.closed = false;
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+/**
+ * Load pose-worker.js into a worker-like scope with a backend that always
+ * finds a person and returns a segmentation mask
+ * @returns {Object} { send(message), posted: [{ data, transfer }] }
+ */
+function loadWorker() {
+    const posted = [];
+    const scope = {
+        console: console,
+        ImageBitmap: FakeImageBitmap,
+        postMessage: (data, transfer = []) => posted.push({ data, transfer })
+    };
+    scope.self = scope;
+    scope.importScripts = (...files) => files.forEach(file => {
+        const filename = path.join(JS_DIR, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), scope, { filename });
+    });
+    vm.createContext(scope);
+
+    const filename = path.join(JS_DIR, 'pose-worker.js');
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), scope, { filename });
+
+    const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, z: 0, visibility: 0.99 }));
+    scope.PoseBackends.available.fake = {
+        label: 'Fake',
+        create: () => ({
+            name: 'fake',
+            initialize: async () => {},
+            estimate: async () => ({
+                landmarks: landmarks,
+                worldLandmarks: null,
+                segmentationMask: new FakeImageBitmap(64, 48)
+            }),
+            setOptions: () => {},
+            close: () => {}
+        })
+    };
+
+    let nextId = 1;
+    const send = async (message) => {
+        const id = nextId++;
+        await scope.onmessage({ data: { id, ...message } });
+        const reply = posted.find(entry => entry.data.id === id);
+        assert.ok(reply, `no reply to '${message.type}'`);
+        assert.strictEqual(reply.data.type, 'done', reply.data.error && reply.data.error.message);
+        return reply;
+    };
+
+    return { send, posted };
+}
+
+/**
+ * Every ImageBitmap reachable from a posted value
+ */
+function findImages(value, seen = new Set()) {
+    if (!value || typeof value !== 'object' || seen.has(value)) return [];
+    seen.add(value);
+    if (value instanceof FakeImageBitmap) return [value];
+    return Object.values(value).flatMap(child => findImages(child, seen));
+}
+
+async function processOneFrame(privacyMode) {
+    const worker = loadWorker();
+    await worker.send({ type: 'init', config: { backend: 'fake', privacyMode, enableSegmentation: true } });
+    const reply = await worker.send({ type: 'frame', frame: new FakeImageBitmap(640, 480), timestamp: 0 });
+    return { reply, posted: worker.posted };
+}
+
+test('no image or mask is posted in privacy mode', async () => {
+    const { reply, posted } = await processOneFrame(true);
+
+    assert.ok(reply.data.result.landmarks, 'landmarks are still posted');
+    assert.strictEqual(reply.data.result.segmentationMask, null);
+    posted.forEach(({ data, transfer }) => {
+        assert.deepStrictEqual(findImages(data), []);
+        assert.strictEqual(transfer.length, 0);
+    });
+});
+
+test('the mask is posted outside privacy mode', async () => {
+    const { reply } = await processOneFrame(false);
+
+    assert.ok(reply.data.result.segmentationMask instanceof FakeImageBitmap);
+    // Arrays from the worker scope are compared by content, not prototype
+    assert.strictEqual(reply.transfer.length, 1);
+    assert.strictEqual(reply.transfer[0], reply.data.result.segmentationMask);
+});
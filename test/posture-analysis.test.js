@@ -0,0 +1,49 @@
+/**
+ * PostureAnalysis scoring checks. Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const PostureAnalysis = require('../js/posture-analysis.js');
+
+const IMAGE_SIZE = { width: 640, height: 480 };
+
+/**
+ * Upright seated user facing the camera. The nose sits below the ear line
+ * as it does on a real face.
+ */
+function neutralPose({ hips }) {
+    const landmarks = Array.from({ length: 33 }, () => ({ x: 0, y: 0, z: 0, visibility: 0 }));
+    const set = (index, x, y, z = 0) => {
+        landmarks[index] = { x, y, z, visibility: 0.99 };
+    };
+    set(0, 0.5, 0.34, -0.1);            // nose
+    set(2, 0.52, 0.3, -0.08);           // left eye
+    set(5, 0.48, 0.3, -0.08);           // right eye
+    set(7, 0.55, 0.3);                  // left ear
+    set(8, 0.45, 0.3);                  // right ear
+    set(11, 0.65, 0.52);                // left shoulder
+    set(12, 0.35, 0.52);                // right shoulder
+    if (hips) {
+        set(23, 0.6, 0.95);             // left hip
+        set(24, 0.4, 0.95);             // right hip
+    }
+    return landmarks;
+}
+
+[
+    { name: 'full body', hips: true, mode: 'fullBody' },
+    { name: 'upper body', hips: false, mode: 'upperBody' }
+].forEach(({ name, hips, mode }) => {
+    test(`a neutral ${name} pose is not flagged before calibration`, () => {
+        const analysis = new PostureAnalysis();
+        const result = analysis.analyzePose(neutralPose({ hips }), IMAGE_SIZE, null, 0);
+
+        assert.strictEqual(result.mode, mode);
+        assert.ok(result.headPose.pitch > 15, `expected the nose below the ear line, got ${result.headPose.pitch}°`);
+        assert.ok(!result.issueCodes.includes('FORWARD_HEAD'), result.issueCodes.join(', '));
+        assert.ok(!result.issueCodes.includes('SEVERE_FORWARD_HEAD'), result.issueCodes.join(', '));
+        assert.ok(['excellent', 'good'].includes(result.components.neck.status), result.components.neck.status);
+    });
+});